@@ -1,160 +1,369 @@
-import React, { createContext, useContext, useState, useMemo, useEffect } from 'react';
+import React, { createContext, useContext, useState, useMemo, useEffect, useReducer, useRef } from 'react';
+import {
+  createOccurrenceIterator,
+  generateOccurrences,
+  parseDate,
+  formatDate,
+  makeDate,
+  todayString,
+  localTimeZone,
+  getOccurrenceTimes,
+  getOrderedDayNames,
+  DAY_NAMES,
+  WEEK_ORDINALS,
+  DEFAULT_MONTHLY_PATTERN,
+  DEFAULT_YEARLY_PATTERN,
+} from './recurrence';
+import { toRRule, parseRRule } from './rrule';
+import { validateRule } from './validation';
+import { toICalendar, toCSV, toJSON } from './export';
+import { findConflicts, findInvalidEvents } from './conflicts';
+import { readRuleFromUrl, writeRuleToUrl } from './url';
+import {
+  DEFAULT_PRESETS,
+  resolvePreset,
+  createStoragePresetStore,
+  addSavedPreset,
+  renameSavedPreset,
+  deleteSavedPreset,
+} from './presets';
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  describeRule,
+  formatWeekday,
+  formatMonth,
+  formatMonthYear,
+  formatMonthRange,
+  formatDateString,
+  formatTimeRange,
+  formatOrdinal,
+  formatRecurrenceType,
+  formatEvery,
+  formatIntervalUnit,
+} from './i18n';
 
 // --- Recurrence Context ---
 // This context manages the state of the recurring date picker.
 const RecurrenceContext = createContext();
 
-const RecurrenceProvider = ({ children }) => {
-  // State for recurrence settings
-  const [recurrenceType, setRecurrenceType] = useState('daily'); // 'daily', 'weekly', 'monthly', 'yearly'
-  const [interval, setInterval] = useState(1); // Every X days/weeks/months/years
-  const [daysOfWeek, setDaysOfWeek] = useState([]); // For weekly: ['Mon', 'Tue', ...]
-  const [monthlyPattern, setMonthlyPattern] = useState({ week: 'first', day: 'Monday' }); // For monthly: { week: 'first', day: 'Monday' }
-  const [startDate, setStartDate] = useState(new Date().toISOString().split('T')[0]); // YYYY-MM-DD format
-  const [endDate, setEndDate] = useState(''); // YYYY-MM-DD format, optional
-  const [isEndDateEnabled, setIsEndDateEnabled] = useState(false);
-
-  // Memoized value for recurring dates to avoid re-calculation on every render
-  const calculatedRecurringDates = useMemo(() => {
-    // Function to calculate recurring dates based on current settings
-    const calculateDates = () => {
-      const start = new Date(startDate);
-      const end = isEndDateEnabled && endDate ? new Date(endDate) : null;
-      const dates = new Set(); // Use a Set to avoid duplicate dates
-
-      if (!startDate) return [];
-
-      let currentDate = new Date(start);
-
-      // Helper to add date to set, formatted as YYYY-MM-DD
-      const addDate = (date) => {
-        if (!end || date <= end) {
-          dates.add(date.toISOString().split('T')[0]);
-        }
-      };
+// The picker's value is a plain rule object (see recurrence.js) plus `endType`, which
+// records the selected end condition: 'never', 'date' (uses endDate) or 'count'.
+const DEFAULT_RULE = {
+  recurrenceType: 'daily', // 'daily', 'weekly', 'monthly', 'yearly'
+  interval: 1, // Every X days/weeks/months/years
+  daysOfWeek: [], // For weekly: ['Monday', 'Tuesday', ...]
+  weekStart: 'Monday', // First day of the week: 'Monday' or 'Sunday' (RRULE WKST)
+  monthlyPattern: DEFAULT_MONTHLY_PATTERN, // For monthly: see getMonthlyDates in recurrence.js
+  yearlyPattern: DEFAULT_YEARLY_PATTERN, // For yearly: see getYearlyDates in recurrence.js
+  startDate: '', // YYYY-MM-DD format; defaults to today in the user's local timezone
+  allDay: true, // false for events at startTime lasting duration minutes
+  startTime: '09:00', // HH:MM wall-clock time in timeZone
+  duration: 60, // Minutes
+  timeZone: '', // IANA timezone of startTime; defaults to the user's
+  weekdaysOnly: false, // For daily: skip Saturdays and Sundays
+  nonWorkingDayPolicy: 'keep', // Dates on weekends and holidays: 'keep', 'skip', 'previous', 'next'
+  endType: 'never', // 'never', 'date', 'count'
+  endDate: '', // YYYY-MM-DD format, used when endType is 'date'
+  count: null, // Number of occurrences, used when endType is 'count'
+  excludedDates: [], // YYYY-MM-DD dates removed from the series (EXDATE)
+  extraDates: [], // YYYY-MM-DD dates added to the series (RDATE)
+};
 
-      // Loop to generate dates based on recurrence type
-      while (!end || currentDate <= end) {
-        if (dates.size > 365 * 2) { // Limit to 2 years of dates to prevent infinite loops
-            console.warn("Limiting recurring dates to 2 years to prevent excessive calculation.");
-            break;
-        }
-
-        switch (recurrenceType) {
-          case 'daily':
-            addDate(currentDate);
-            currentDate.setDate(currentDate.getDate() + interval);
-            break;
-
-          case 'weekly':
-            // If specific days of week are selected, iterate through them
-            if (daysOfWeek.length > 0) {
-              const currentDay = currentDate.getDay(); // 0 for Sunday, 1 for Monday, etc.
-              const daysMap = {
-                'Sunday': 0, 'Monday': 1, 'Tuesday': 2, 'Wednesday': 3,
-                'Thursday': 4, 'Friday': 5, 'Saturday': 6
-              };
-              const selectedDayIndexes = daysOfWeek.map(day => daysMap[day]);
-
-              let foundNextDay = false;
-              for (let i = 0; i < 7; i++) { // Check up to 7 days from current
-                const nextDayDate = new Date(currentDate);
-                nextDayDate.setDate(currentDate.getDate() + i);
-                if (selectedDayIndexes.includes(nextDayDate.getDay())) {
-                  addDate(nextDayDate);
-                  foundNextDay = true;
-                }
-              }
-              // Move to the next interval of weeks
-              if (foundNextDay) {
-                  currentDate.setDate(currentDate.getDate() + (interval * 7));
-              } else { // If no day found in current week, move to next day
-                  currentDate.setDate(currentDate.getDate() + 1);
-              }
-            } else {
-              // If no specific days, just add the current date and move by interval
-              addDate(currentDate);
-              currentDate.setDate(currentDate.getDate() + (interval * 7));
-            }
-            break;
-
-          case 'monthly':
-            const targetDayOfWeek = monthlyPattern.day; // e.g., 'Monday'
-            const targetWeekOrdinal = monthlyPattern.week; // e.g., 'first', 'second'
-
-            let year = currentDate.getFullYear();
-            let month = currentDate.getMonth();
-
-            // Find the first day of the current month
-            let firstDayOfMonth = new Date(year, month, 1);
-            let dayOfWeekCounter = 0;
-            let foundTargetDate = false;
-
-            // Iterate through days of the month to find the target day
-            for (let day = 1; day <= 31; day++) {
-                const checkDate = new Date(year, month, day);
-                if (checkDate.getMonth() !== month) break; // Moved to next month
-
-                const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][checkDate.getDay()];
-
-                if (dayName === targetDayOfWeek) {
-                    dayOfWeekCounter++;
-                    let isTargetWeek = false;
-                    switch (targetWeekOrdinal) {
-                        case 'first': isTargetWeek = (dayOfWeekCounter === 1); break;
-                        case 'second': isTargetWeek = (dayOfWeekCounter === 2); break;
-                        case 'third': isTargetWeek = (dayOfWeekCounter === 3); break;
-                        case 'fourth': isTargetWeek = (dayOfWeekCounter === 4); break;
-                        case 'last':
-                            // Check if this is the last occurrence of the day in the month
-                            const nextCheckDate = new Date(year, month, day + 7);
-                            if (nextCheckDate.getMonth() !== month || ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][nextCheckDate.getDay()] !== targetDayOfWeek) {
-                                isTargetWeek = true;
-                            }
-                            break;
-                    }
-
-                    if (isTargetWeek) {
-                        addDate(checkDate);
-                        foundTargetDate = true;
-                        break; // Found the date for this month
-                    }
-                }
-            }
-
-            // Move to the next month based on interval
-            currentDate.setMonth(currentDate.getMonth() + interval);
-            currentDate.setDate(1); // Reset day to 1 to avoid issues with months having fewer days
-            break;
-
-          case 'yearly':
-            addDate(currentDate);
-            currentDate.setFullYear(currentDate.getFullYear() + interval);
-            break;
-
-          default:
-            break;
-        }
-      }
-      return Array.from(dates).sort(); // Return sorted array
+const NO_HOLIDAYS = [];
+const NO_EVENTS = [];
+const defaultPresetStore = createStoragePresetStore();
+
+// Fill in defaults for a partial rule and keep endDate/count in line with endType,
+// deriving endType from them when it isn't given
+const normalizeRule = (value = {}) => {
+  const rule = { ...DEFAULT_RULE, startDate: todayString(), timeZone: localTimeZone(), ...value };
+  const endType = value.endType || (rule.count ? 'count' : rule.endDate ? 'date' : 'never');
+  return {
+    ...rule,
+    endType,
+    endDate: endType === 'date' ? rule.endDate : '',
+    count: endType === 'count' ? rule.count : null,
+  };
+};
+
+// Changes that load parsed RRULE (or URL) fields: fields the text doesn't set keep
+// their current values
+const parsedRuleChanges = ({ startDate, monthlyPattern, yearlyPattern, ...parsed }) => ({
+  ...parsed,
+  ...(startDate ? { startDate } : {}),
+  ...(monthlyPattern ? { monthlyPattern } : {}),
+  ...(yearlyPattern ? { yearlyPattern } : {}),
+  endType: undefined, // Derive it from the parsed UNTIL/COUNT
+});
+
+// --- Rule History ---
+// The rule lives in a reducer with undo/redo history. `present` is the last valid rule
+// and `draft` an invalid edit on top of it, shown with its errors; only valid rules
+// enter the history. `notify` marks a present rule that onChange should hear about.
+const HISTORY_LIMIT = 100;
+
+const sameRule = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const createHistory = (rule) => ({
+  past: [],
+  present: rule,
+  future: [],
+  draft: null,
+  lastEnd: { endDate: rule.endDate, count: rule.count || 10 }, // Restored when switching back to that end condition
+  notify: false,
+});
+
+// Actions:
+//   { type: 'update', changes }     - merge changes: an object, or a function of the current rule
+//   { type: 'set', field, value }   - set one field to a value, or a function of its current value
+//   { type: 'setEndType', endType } - switch the end condition, restoring the last end date or count
+//   { type: 'undo' }, { type: 'redo' }
+//   { type: 'sync', rule }          - adopt the parent's value (controlled mode) without notifying
+// In controlled mode the other actions carry the parent's value as `parentValue`: a
+// committed rule the parent didn't take is dropped, so edits build on the value.
+// `isValid` decides whether an edit is committed or held as a draft.
+const createRuleReducer = (isValid) => {
+  // The rejected rule's history entry goes too, so undo doesn't step back to the value
+  const adoptParentValue = (state, parentValue) => {
+    if (!parentValue || sameRule(parentValue, state.present)) return state;
+    const rejected = state.past.length > 0 && sameRule(parentValue, state.past[state.past.length - 1]);
+    return { ...state, past: rejected ? state.past.slice(0, -1) : state.past, present: parentValue, notify: false };
+  };
+
+  const update = (state, changes) => {
+    const current = state.draft || state.present;
+    const next = normalizeRule({ ...current, ...(typeof changes === 'function' ? changes(current) : changes) });
+    const lastEnd = { endDate: next.endDate || state.lastEnd.endDate, count: next.count || state.lastEnd.count };
+    if (!isValid(next)) return { ...state, draft: next, lastEnd };
+    return {
+      past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+      present: next,
+      future: [],
+      draft: null,
+      lastEnd,
+      notify: true,
     };
+  };
+
+  return (previous, action) => {
+    const state = adoptParentValue(previous, action.parentValue);
+    switch (action.type) {
+      case 'update':
+        return update(state, action.changes);
+      case 'set':
+        return update(state, current => ({
+          [action.field]: typeof action.value === 'function' ? action.value(current[action.field]) : action.value,
+        }));
+      case 'setEndType':
+        return update(state, current => ({
+          endType: action.endType,
+          endDate: action.endType === 'date' ? state.lastEnd.endDate || current.startDate : '',
+          count: action.endType === 'count' ? state.lastEnd.count : null,
+        }));
+      case 'undo':
+        // The first undo drops an invalid draft
+        if (state.draft) return { ...state, draft: null };
+        if (state.past.length === 0) return state;
+        return {
+          ...state,
+          past: state.past.slice(0, -1),
+          present: state.past[state.past.length - 1],
+          future: [state.present, ...state.future],
+          notify: true,
+        };
+      case 'redo':
+        if (state.future.length === 0) return state;
+        return {
+          ...state,
+          past: [...state.past, state.present],
+          present: state.future[0],
+          future: state.future.slice(1),
+          draft: null,
+          notify: true,
+        };
+      case 'sync':
+        if (sameRule(action.rule, state.present)) return state.draft ? { ...state, draft: null } : state;
+        return { ...state, present: action.rule, draft: null, notify: false };
+      default:
+        throw new Error(`Unknown rule action "${action.type}"`);
+    }
+  };
+};
+
+// Action setting one rule field, e.g. dispatch(setField('interval', 2))
+const setField = (field, value) => ({ type: 'set', field, value });
+
+// Works controlled (`value` + `onChange`) or uncontrolled (optional `defaultValue`).
+// onChange receives the next rule and a lazy occurrence iterator for it, but only
+// for valid rules: an invalid edit is held as a draft, with its errors shown inline,
+// until it is fixed. Edits go through `dispatch` (see createRuleReducer), which keeps
+// the undo/redo history.
+// `locale` (a BCP 47 tag) is used for day and month names and the rule summary.
+// `holidays` is the holiday calendar for nonWorkingDayPolicy: a list of YYYY-MM-DD dates,
+// or a function returning the dates for a year. It isn't part of the rule; keep a
+// function's identity stable, since a new one recomputes the series.
+// `existingEvents` are events already on the calendar (see conflicts.js); occurrences
+// that overlap them are reported as `conflicts`.
+// `presets` are the built-in templates offered (see presets.js) and `presetStore` keeps
+// the user's saved presets; both are read when the provider mounts.
+// `urlParam` opts in to keeping the rule in that query parameter (see url.js): a rule
+// found there on mount replaces the initial value, and every change is written back.
+const RecurrenceProvider = ({
+  children,
+  value,
+  defaultValue,
+  onChange,
+  locale = DEFAULT_LOCALE,
+  holidays = NO_HOLIDAYS,
+  existingEvents = NO_EVENTS,
+  presets = DEFAULT_PRESETS,
+  presetStore = defaultPresetStore,
+  urlParam,
+}) => {
+  const isControlled = value !== undefined;
+  // The engine sees the rule with the holiday calendar attached
+  const reducer = useMemo(() => createRuleReducer(next => validateRule({ ...next, holidays }).valid), [holidays]);
+  const [state, reduce] = useReducer(reducer, null, () => {
+    const initial = createHistory(normalizeRule(isControlled ? value : defaultValue));
+    const fromUrl = urlParam ? readRuleFromUrl(urlParam) : null;
+    // A shared link starts a fresh history rather than one step from the default
+    return fromUrl ? { ...reducer(initial, { type: 'update', changes: parsedRuleChanges(fromUrl) }), past: [] } : initial;
+  });
+  const committedRule = useMemo(
+    () => (isControlled ? normalizeRule(value) : state.present),
+    [isControlled, value, state.present]
+  );
+  const rule = state.draft || committedRule;
+  const dispatch = (action) => reduce(isControlled ? { ...action, parentValue: committedRule } : action);
+
+  // Follow the parent's value; a new value also replaces any invalid draft
+  useEffect(() => {
+    if (isControlled) dispatch({ type: 'sync', rule: normalizeRule(value) });
+  }, [value]);
+
+  // Report each newly committed rule, including ones restored by undo and redo
+  useEffect(() => {
+    if (state.notify && onChange) onChange(state.present, createOccurrenceIterator({ ...state.present, holidays }));
+  }, [state.present]);
+
+  useEffect(() => {
+    if (urlParam) writeRuleToUrl(urlParam, committedRule);
+  }, [urlParam, committedRule]);
+
+  const validation = useMemo(() => validateRule({ ...rule, holidays }), [rule, holidays]);
+
+  // Lazy occurrence series for the current settings; consumers query only the dates they show
+  const occurrences = useMemo(() => createOccurrenceIterator({ ...rule, holidays }), [rule, holidays]);
+
+  // Current settings as an iCalendar DTSTART/RRULE string, or the reason there is none
+  const { rrule, rruleError } = useMemo(() => {
+    if (!validation.valid) {
+      return { rrule: '', rruleError: 'Fix the errors above to export this rule.' };
+    }
+    try {
+      return { rrule: toRRule(rule), rruleError: '' };
+    } catch (error) {
+      return { rrule: '', rruleError: error.message };
+    }
+  }, [rule, validation]);
+
+  // Load an RRULE string into the picker. Throws if the rule can't be represented.
+  const loadRRule = (text) => {
+    dispatch({ type: 'update', changes: parsedRuleChanges(parseRRule(text)) });
+  };
+
+  // Occurrences overlapping existing events, with the events they overlap
+  const conflicts = useMemo(
+    () => (validation.valid ? findConflicts({ ...rule, holidays }, existingEvents) : []),
+    [rule, holidays, existingEvents, validation]
+  );
+  // Events left out of the conflict check because they can't be read
+  const invalidEvents = useMemo(() => findInvalidEvents(existingEvents), [existingEvents]);
+
+  // Drop every conflicting date from the series: extra dates are removed, recurring
+  // dates excluded
+  const excludeConflicts = () => dispatch({
+    type: 'update',
+    changes: (current) => {
+      const dates = new Set(conflicts.map(conflict => conflict.date));
+      return {
+        extraDates: current.extraDates.filter(date => !dates.has(date)),
+        excludedDates: [
+          ...current.excludedDates,
+          ...[...dates].filter(date => !current.extraDates.includes(date) && !current.excludedDates.includes(date)),
+        ],
+      };
+    },
+  });
+
+  // Saved presets, written back to the store on every change
+  const [savedPresets, setSavedPresets] = useState(() => presetStore.load());
+  const updateSavedPresets = (next) => {
+    setSavedPresets(next);
+    presetStore.save(next);
+  };
+
+  const applyPreset = (preset) => dispatch({ type: 'update', changes: current => resolvePreset(preset, current) });
+
+  // Save the current rule under a name. Throws if the name is empty or taken, or the
+  // rule has errors.
+  const savePreset = (name) => {
+    if (!validation.valid) throw new Error('Fix the errors above before saving this rule.');
+    updateSavedPresets(addSavedPreset(savedPresets, name, rule));
+  };
+  const renamePreset = (id, name) => updateSavedPresets(renameSavedPreset(savedPresets, id, name));
+  const deletePreset = (id) => updateSavedPresets(deleteSavedPreset(savedPresets, id));
+
+  // Toggle a one-off exception on a date: undo an existing exclusion or extra date,
+  // otherwise exclude it if the rule produces it, or add it as an extra date if not
+  const toggleDateException = (dateString) => {
+    const { excludedDates, extraDates } = rule;
+    if (extraDates.includes(dateString)) {
+      dispatch(setField('extraDates', extraDates.filter(date => date !== dateString)));
+    } else if (excludedDates.includes(dateString)) {
+      dispatch(setField('excludedDates', excludedDates.filter(date => date !== dateString)));
+    } else if (occurrences.between(dateString, dateString).length > 0) {
+      dispatch(setField('excludedDates', [...excludedDates, dateString]));
+    } else {
+      dispatch(setField('extraDates', [...extraDates, dateString]));
+    }
+  };
 
-    return calculateDates();
-  }, [recurrenceType, interval, daysOfWeek, monthlyPattern, startDate, endDate, isEndDateEnabled]);
-
-  const value = {
-    recurrenceType, setRecurrenceType,
-    interval, setInterval,
-    daysOfWeek, setDaysOfWeek,
-    monthlyPattern, setMonthlyPattern,
-    startDate, setStartDate,
-    endDate, setEndDate,
-    isEndDateEnabled, setIsEndDateEnabled,
-    calculatedRecurringDates,
+  const contextValue = {
+    recurrenceType: rule.recurrenceType,
+    interval: rule.interval,
+    daysOfWeek: rule.daysOfWeek,
+    weekStart: rule.weekStart,
+    monthlyPattern: rule.monthlyPattern,
+    yearlyPattern: rule.yearlyPattern,
+    startDate: rule.startDate,
+    allDay: rule.allDay,
+    startTime: rule.startTime,
+    duration: rule.duration,
+    timeZone: rule.timeZone,
+    weekdaysOnly: rule.weekdaysOnly,
+    nonWorkingDayPolicy: rule.nonWorkingDayPolicy,
+    holidays,
+    existingEvents, invalidEvents, conflicts, excludeConflicts,
+    presets, savedPresets, applyPreset, savePreset, renamePreset, deletePreset,
+    endDate: rule.endType === 'date' ? rule.endDate : state.lastEnd.endDate,
+    occurrenceCount: rule.count || state.lastEnd.count,
+    endType: rule.endType,
+    excludedDates: rule.excludedDates,
+    extraDates: rule.extraDates,
+    toggleDateException,
+    rule, dispatch,
+    canUndo: Boolean(state.draft) || state.past.length > 0,
+    canRedo: state.future.length > 0,
+    validation,
+    occurrences,
+    rrule, rruleError, loadRRule,
+    locale,
   };
 
   return (
-    <RecurrenceContext.Provider value={value}>
+    <RecurrenceContext.Provider value={contextValue}>
       {children}
     </RecurrenceContext.Provider>
   );
@@ -169,23 +378,328 @@ const useRecurrence = () => {
   return context;
 };
 
+// --- Validation Messages ---
+// Errors and warnings for one rule field. Inputs point at the list with
+// aria-describedby (see fieldAriaProps) so screen readers announce them.
+const FieldMessages = ({ id, field }) => {
+  const { validation } = useRecurrence();
+  const errors = validation.errors.filter(error => error.field === field);
+  const warnings = validation.warnings.filter(warning => warning.field === field);
+  if (errors.length === 0 && warnings.length === 0) return null;
+
+  return (
+    <ul id={id} className="mt-2 text-sm">
+      {errors.map(({ code, message }) => (
+        <li key={code} role="alert" className="text-red-600">{message}</li>
+      ))}
+      {warnings.map(({ code, message }) => (
+        <li key={code} className="text-amber-700">{message}</li>
+      ))}
+    </ul>
+  );
+};
+
+// ARIA attributes for an input whose messages FieldMessages renders under `id`
+const fieldAriaProps = (validation, field, id) => {
+  const hasError = validation.errors.some(error => error.field === field);
+  const hasMessages = hasError || validation.warnings.some(warning => warning.field === field);
+  return {
+    'aria-invalid': hasError || undefined,
+    'aria-describedby': hasMessages ? id : undefined,
+  };
+};
+
+// --- Pattern Fields ---
+// Controls shared by the monthly and yearly panels.
+// Days 1-31, then offsets from the end of the month (clamped for short months)
+const monthDayOptions = [
+  ...Array.from({ length: 31 }, (_, i) => ({ value: i + 1, label: String(i + 1) })),
+  { value: -1, label: 'Last' },
+  { value: -2, label: '2nd last' },
+  { value: -3, label: '3rd last' },
+];
+
+// Add a value to a list, or remove it if it's already there
+const toggleValue = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Radio buttons choosing a pattern's mode
+const PatternModeRadios = ({ name, modes, mode, onChange, accentClass }) => (
+  <div className="flex flex-wrap gap-4 mb-4">
+    {modes.map(({ value, label }) => (
+      <label key={value} className="inline-flex items-center cursor-pointer">
+        <input
+          type="radio"
+          className={`form-radio h-5 w-5 rounded-full border-gray-300 ${accentClass}`}
+          name={name}
+          value={value}
+          checked={mode === value}
+          onChange={() => onChange({ mode: value })}
+        />
+        <span className="ml-2 text-gray-700">{label}</span>
+      </label>
+    ))}
+  </div>
+);
+
+// Day-of-month checkboxes or ordinal + weekday checkboxes, depending on pattern.mode
+const MonthlyPatternFields = ({ pattern, onChange, dayNames, locale, accentClass }) => {
+  const checkboxClass = `form-checkbox h-5 w-5 rounded border-gray-300 ${accentClass}`;
+
+  if (pattern.mode === 'dayOfMonth') {
+    return (
+      <div className="grid grid-cols-4 sm:grid-cols-8 gap-2">
+        {monthDayOptions.map(({ value, label }) => (
+          <label key={value} className="inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              className={checkboxClass}
+              checked={pattern.monthDays.includes(value)}
+              onChange={() => onChange({ monthDays: toggleValue(pattern.monthDays, value) })}
+            />
+            <span className="ml-1 text-sm text-gray-700">{label}</span>
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <p className="text-sm font-medium text-gray-700 mb-2">The</p>
+      <div className="flex flex-wrap gap-4 mb-3">
+        {WEEK_ORDINALS.map(week => (
+          <label key={week} className="inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              className={checkboxClass}
+              checked={pattern.weeks.includes(week)}
+              onChange={() => onChange({ weeks: toggleValue(pattern.weeks, week) })}
+            />
+            <span className="ml-2 text-gray-700 capitalize">{formatOrdinal(week, locale)}</span>
+          </label>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+        {dayNames.map(day => (
+          <label key={day} className="inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              className={checkboxClass}
+              checked={pattern.days.includes(day)}
+              onChange={() => onChange({ days: toggleValue(pattern.days, day) })}
+            />
+            <span className="ml-2 text-gray-700">{formatWeekday(day, locale)}</span>
+          </label>
+        ))}
+      </div>
+      {pattern.days.length > 1 && (
+        <label className="inline-flex items-center cursor-pointer">
+          <input
+            type="checkbox"
+            className={checkboxClass}
+            checked={pattern.combineDays}
+            onChange={(e) => onChange({ combineDays: e.target.checked })}
+          />
+          <span className="ml-2 text-sm text-gray-700">Count the selected days together (e.g. "last weekday")</span>
+        </label>
+      )}
+    </>
+  );
+};
+
+// --- History Components ---
+// Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on a Mac) anywhere inside the
+// picker, except in text and number fields, which keep their own undo
+const HistoryShortcuts = ({ children }) => {
+  const { dispatch } = useRecurrence();
+
+  const handleKeyDown = (e) => {
+    const key = e.key.toLowerCase();
+    if (!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y')) return;
+    if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+    e.preventDefault();
+    dispatch({ type: key === 'y' || e.shiftKey ? 'redo' : 'undo' });
+  };
+
+  return <div onKeyDown={handleKeyDown}>{children}</div>;
+};
+
+const HistoryControls = () => {
+  const { canUndo, canRedo, dispatch } = useRecurrence();
+  const buttonClass = 'px-3 py-1 rounded-md border border-gray-300 bg-white text-sm font-medium text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-400';
+
+  return (
+    <div className="flex justify-end gap-2 mb-4">
+      <button type="button" onClick={() => dispatch({ type: 'undo' })} disabled={!canUndo} aria-keyshortcuts="Control+Z" className={buttonClass}>
+        Undo
+      </button>
+      <button type="button" onClick={() => dispatch({ type: 'redo' })} disabled={!canRedo} aria-keyshortcuts="Control+Shift+Z Control+Y" className={buttonClass}>
+        Redo
+      </button>
+    </div>
+  );
+};
+
+// --- Presets Component ---
+// Picking a preset applies it at once; the current rule can be saved as a named preset
+const PresetPanel = () => {
+  const { presets, savedPresets, applyPreset, savePreset, renamePreset, deletePreset } = useRecurrence();
+  const [presetName, setPresetName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name } of the preset being renamed
+  const [presetError, setPresetError] = useState('');
+
+  // Run a preset action, showing its error if it throws; returns whether it succeeded
+  const attempt = (action) => {
+    try {
+      action();
+      setPresetError('');
+      return true;
+    } catch (error) {
+      setPresetError(error.message);
+      return false;
+    }
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = [...presets, ...savedPresets].find(option => option.id === e.target.value);
+    if (preset) applyPreset(preset);
+  };
+
+  const handleSave = () => {
+    if (attempt(() => savePreset(presetName))) setPresetName('');
+  };
+
+  const handleRename = () => {
+    if (attempt(() => renamePreset(renaming.id, renaming.name))) setRenaming(null);
+  };
+
+  const buttonClass = 'px-3 py-1 rounded-md border border-gray-300 text-sm font-medium text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-400';
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow-md mb-6">
+      <h3 className="text-xl font-semibold mb-4 text-gray-800">Presets</h3>
+
+      <label htmlFor="preset" className="block text-sm font-medium text-gray-700 mb-2">Start from a preset:</label>
+      <select
+        id="preset"
+        value=""
+        onChange={handlePresetChange}
+        className="w-full sm:w-auto p-2 mb-4 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+      >
+        <option value="" disabled>Choose a preset…</option>
+        <optgroup label="Templates">
+          {presets.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </optgroup>
+        {savedPresets.length > 0 && (
+          <optgroup label="Saved">
+            {savedPresets.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+          </optgroup>
+        )}
+      </select>
+
+      <label htmlFor="presetName" className="block text-sm font-medium text-gray-700 mb-2">Save the current rule as:</label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          id="presetName"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="e.g. Team standup"
+          className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="button"
+          onClick={handleSave}
+          className="px-4 py-2 rounded-md bg-blue-600 text-white font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+        >
+          Save
+        </button>
+      </div>
+      {presetError && (
+        <p className="mt-2 text-sm text-red-600" role="alert">{presetError}</p>
+      )}
+
+      {savedPresets.length > 0 && (
+        <ul className="mt-4 divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {savedPresets.map(({ id, name }) => (
+            <li key={id} className="flex items-center justify-between gap-2 p-2 text-sm text-gray-700">
+              {renaming && renaming.id === id ? (
+                <>
+                  <input
+                    type="text"
+                    aria-label={`New name for ${name}`}
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ id, name: e.target.value })}
+                    className="flex-1 p-1 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <span className="flex gap-2">
+                    <button type="button" onClick={handleRename} className={buttonClass}>Save</button>
+                    <button type="button" onClick={() => setRenaming(null)} className={buttonClass}>Cancel</button>
+                  </span>
+                </>
+              ) : (
+                <>
+                  <span>{name}</span>
+                  <span className="flex gap-2">
+                    <button type="button" onClick={() => setRenaming({ id, name })} aria-label={`Rename ${name}`} className={buttonClass}>Rename</button>
+                    <button type="button" onClick={() => deletePreset(id)} aria-label={`Delete ${name}`} className={buttonClass}>Delete</button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 // --- Recurrence Options Component ---
 const RecurrenceOptions = () => {
   const {
-    recurrenceType, setRecurrenceType,
-    interval, setInterval,
-    daysOfWeek, setDaysOfWeek,
-    monthlyPattern, setMonthlyPattern,
+    recurrenceType,
+    interval,
+    daysOfWeek,
+    weekStart,
+    monthlyPattern,
+    yearlyPattern,
+    weekdaysOnly,
+    nonWorkingDayPolicy,
+    startDate,
+    locale,
+    validation,
+    dispatch,
   } = useRecurrence();
 
+  const dayNames = getOrderedDayNames(weekStart);
+  const months = Array.from({ length: 12 }, (_, index) => index + 1);
+
   const handleDayOfWeekChange = (day) => {
-    setDaysOfWeek(prev =>
-      prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]
-    );
+    dispatch(setField('daysOfWeek', prev => toggleValue(prev, day)));
   };
 
-  const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  const weekOrdinals = ['first', 'second', 'third', 'fourth', 'last'];
+  const updateMonthlyPattern = (changes) => dispatch(setField('monthlyPattern', prev => ({ ...prev, ...changes })));
+  const updateYearlyPattern = (changes) => dispatch(setField('yearlyPattern', prev => ({ ...prev, ...changes })));
+
+  const monthlyModes = [
+    { value: 'dayOfMonth', label: 'On day(s) of the month' },
+    { value: 'weekday', label: 'On weekday(s)' },
+  ];
+  const yearlyModes = [
+    { value: 'date', label: 'On the start date' },
+    ...monthlyModes,
+  ];
+  const leapDayPolicies = [
+    { value: 'skip', label: 'Skip the year' },
+    { value: 'feb28', label: 'February 28' },
+    { value: 'mar1', label: 'March 1' },
+  ];
+  const nonWorkingDayPolicies = [
+    { value: 'keep', label: 'Keep the date' },
+    { value: 'skip', label: 'Skip it' },
+    { value: 'previous', label: 'Move to the previous working day' },
+    { value: 'next', label: 'Move to the next working day' },
+  ];
 
   return (
     <div className="p-4 bg-white rounded-lg shadow-md mb-6">
@@ -201,9 +715,9 @@ const RecurrenceOptions = () => {
               name="recurrenceType"
               value={type}
               checked={recurrenceType === type}
-              onChange={() => setRecurrenceType(type)}
+              onChange={() => dispatch(setField('recurrenceType', type))}
             />
-            <span className="ml-2 text-gray-700 capitalize">{type}</span>
+            <span className="ml-2 text-gray-700">{formatRecurrenceType(type, locale)}</span>
           </label>
         ))}
       </div>
@@ -211,24 +725,62 @@ const RecurrenceOptions = () => {
       {/* Interval Input */}
       <div className="mb-6">
         <label htmlFor="interval" className="block text-sm font-medium text-gray-700 mb-2">
-          Every
+          {formatEvery(locale)}
           <input
             type="number"
             id="interval"
             min="1"
             value={interval}
-            onChange={(e) => setInterval(Math.max(1, parseInt(e.target.value) || 1))}
+            onChange={(e) => dispatch(setField('interval', Math.max(1, parseInt(e.target.value) || 1)))}
             className="ml-2 mr-2 w-20 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            {...fieldAriaProps(validation, 'interval', 'intervalMessages')}
           />
-          {recurrenceType}
-          {interval > 1 ? 's' : ''}
+          {formatIntervalUnit(recurrenceType, interval, locale)}
         </label>
+        <FieldMessages id="intervalMessages" field="interval" />
       </div>
 
+      {/* Week Start */}
+      <div className="mb-6">
+        <label htmlFor="weekStart" className="text-sm font-medium text-gray-700">
+          Week starts on
+          <select
+            id="weekStart"
+            value={weekStart}
+            onChange={(e) => dispatch(setField('weekStart', e.target.value))}
+            className="ml-2 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="Monday">{formatWeekday('Monday', locale)}</option>
+            <option value="Sunday">{formatWeekday('Sunday', locale)}</option>
+          </select>
+        </label>
+      </div>
+
+      {/* Daily Options */}
+      {recurrenceType === 'daily' && (
+        <div className="mb-6">
+          <label className="inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              id="weekdaysOnly"
+              className="form-checkbox h-5 w-5 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+              checked={weekdaysOnly}
+              onChange={(e) => dispatch(setField('weekdaysOnly', e.target.checked))}
+            />
+            <span className="ml-2 text-gray-700">Weekdays only (Monday to Friday)</span>
+          </label>
+        </div>
+      )}
+
       {/* Weekly Options */}
       {recurrenceType === 'weekly' && (
-        <div className="mb-6 p-4 bg-blue-50 rounded-md border border-blue-200">
-          <h4 className="text-lg font-medium mb-3 text-blue-800">Select Days of Week</h4>
+        <div
+          role="group"
+          aria-labelledby="daysOfWeekHeading"
+          className="mb-6 p-4 bg-blue-50 rounded-md border border-blue-200"
+          {...fieldAriaProps(validation, 'daysOfWeek', 'daysOfWeekMessages')}
+        >
+          <h4 id="daysOfWeekHeading" className="text-lg font-medium mb-3 text-blue-800">Select Days of Week</h4>
           <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
             {dayNames.map(day => (
               <label key={day} className="inline-flex items-center cursor-pointer">
@@ -238,55 +790,170 @@ const RecurrenceOptions = () => {
                   checked={daysOfWeek.includes(day)}
                   onChange={() => handleDayOfWeekChange(day)}
                 />
-                <span className="ml-2 text-gray-700">{day}</span>
+                <span className="ml-2 text-gray-700">{formatWeekday(day, locale)}</span>
               </label>
             ))}
           </div>
+          <FieldMessages id="daysOfWeekMessages" field="daysOfWeek" />
         </div>
       )}
 
       {/* Monthly Options */}
       {recurrenceType === 'monthly' && (
-        <div className="mb-6 p-4 bg-green-50 rounded-md border border-green-200">
-          <h4 className="text-lg font-medium mb-3 text-green-800">Monthly Pattern</h4>
-          <div className="flex flex-wrap items-center gap-4">
-            <label htmlFor="monthlyWeek" className="text-sm font-medium text-gray-700">The</label>
-            <select
-              id="monthlyWeek"
-              value={monthlyPattern.week}
-              onChange={(e) => setMonthlyPattern(prev => ({ ...prev, week: e.target.value }))}
-              className="p-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
-            >
-              {weekOrdinals.map(week => (
-                <option key={week} value={week} className="capitalize">{week}</option>
-              ))}
-            </select>
-            <select
-              id="monthlyDay"
-              value={monthlyPattern.day}
-              onChange={(e) => setMonthlyPattern(prev => ({ ...prev, day: e.target.value }))}
-              className="p-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
-            >
-              {dayNames.map(day => (
-                <option key={day} value={day}>{day}</option>
-              ))}
-            </select>
-            <span className="text-sm font-medium text-gray-700">of every month</span>
-          </div>
+        <div
+          role="group"
+          aria-labelledby="monthlyPatternHeading"
+          className="mb-6 p-4 bg-green-50 rounded-md border border-green-200"
+          {...fieldAriaProps(validation, 'monthlyPattern', 'monthlyPatternMessages')}
+        >
+          <h4 id="monthlyPatternHeading" className="text-lg font-medium mb-3 text-green-800">Monthly Pattern</h4>
+          <PatternModeRadios
+            name="monthlyMode"
+            modes={monthlyModes}
+            mode={monthlyPattern.mode}
+            onChange={updateMonthlyPattern}
+            accentClass="text-green-600 focus:ring-green-500"
+          />
+          <MonthlyPatternFields
+            pattern={monthlyPattern}
+            onChange={updateMonthlyPattern}
+            dayNames={dayNames}
+            locale={locale}
+            accentClass="text-green-600 focus:ring-green-500"
+          />
+          <p className="mt-3 text-sm font-medium text-gray-700">of every month</p>
+          <FieldMessages id="monthlyPatternMessages" field="monthlyPattern" />
+        </div>
+      )}
+
+      {/* Yearly Options */}
+      {recurrenceType === 'yearly' && (
+        <div
+          role="group"
+          aria-labelledby="yearlyPatternHeading"
+          className="mb-6 p-4 bg-purple-50 rounded-md border border-purple-200"
+          {...fieldAriaProps(validation, 'yearlyPattern', 'yearlyPatternMessages')}
+        >
+          <h4 id="yearlyPatternHeading" className="text-lg font-medium mb-3 text-purple-800">Yearly Pattern</h4>
+          <PatternModeRadios
+            name="yearlyMode"
+            modes={yearlyModes}
+            mode={yearlyPattern.mode}
+            onChange={updateYearlyPattern}
+            accentClass="text-purple-600 focus:ring-purple-500"
+          />
+
+          {yearlyPattern.mode === 'date' ? (
+            startDate.endsWith('-02-29') && (
+              <div className="flex flex-wrap items-center gap-4">
+                <label htmlFor="leapDayPolicy" className="text-sm font-medium text-gray-700">In years without February 29:</label>
+                <select
+                  id="leapDayPolicy"
+                  value={yearlyPattern.leapDayPolicy}
+                  onChange={(e) => updateYearlyPattern({ leapDayPolicy: e.target.value })}
+                  className="p-2 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+                >
+                  {leapDayPolicies.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )
+          ) : (
+            <>
+              <MonthlyPatternFields
+                pattern={yearlyPattern}
+                onChange={updateYearlyPattern}
+                dayNames={dayNames}
+                locale={locale}
+                accentClass="text-purple-600 focus:ring-purple-500"
+              />
+              <p className="mt-3 mb-2 text-sm font-medium text-gray-700">of</p>
+              <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+                {months.map(month => (
+                  <label key={month} className="inline-flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
+                      checked={yearlyPattern.months.includes(month)}
+                      onChange={() => updateYearlyPattern({ months: toggleValue(yearlyPattern.months, month) })}
+                    />
+                    <span className="ml-2 text-sm text-gray-700">{formatMonth(month, locale)}</span>
+                  </label>
+                ))}
+              </div>
+              {yearlyPattern.months.length === 0 && (
+                <p className="mt-2 text-sm text-gray-500">No month selected: the start date's month is used.</p>
+              )}
+            </>
+          )}
+          <FieldMessages id="yearlyPatternMessages" field="yearlyPattern" />
         </div>
       )}
+
+      {/* Weekends and Holidays */}
+      <div>
+        <label htmlFor="nonWorkingDayPolicy" className="text-sm font-medium text-gray-700">
+          When a date falls on a weekend or holiday:
+          <select
+            id="nonWorkingDayPolicy"
+            value={nonWorkingDayPolicy}
+            onChange={(e) => dispatch(setField('nonWorkingDayPolicy', e.target.value))}
+            className="ml-2 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            {...fieldAriaProps(validation, 'nonWorkingDayPolicy', 'nonWorkingDayPolicyMessages')}
+          >
+            {nonWorkingDayPolicies.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <FieldMessages id="nonWorkingDayPolicyMessages" field="nonWorkingDayPolicy" />
+      </div>
     </div>
   );
 };
 
 // --- Date Range Picker Component ---
+// HH:MM <-> minutes after midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const minutesToTime = (minutes) => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const timeZoneOptions = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
 const DateRangePicker = () => {
   const {
-    startDate, setStartDate,
-    endDate, setEndDate,
-    isEndDateEnabled, setIsEndDateEnabled,
+    startDate,
+    allDay,
+    startTime,
+    duration,
+    timeZone,
+    endDate,
+    occurrenceCount,
+    endType,
+    validation,
+    dispatch,
   } = useRecurrence();
 
+  // The end time is shown as a wall-clock time; editing it sets the duration, past
+  // midnight if it is earlier than the start time
+  const hasTimes = /^\d{2}:\d{2}$/.test(startTime) && duration > 0;
+  const endTime = hasTimes ? minutesToTime(timeToMinutes(startTime) + duration) : '';
+  const handleEndTimeChange = (value) => {
+    if (!value || !hasTimes) return;
+    dispatch(setField('duration', (timeToMinutes(value) - timeToMinutes(startTime) + 24 * 60) % (24 * 60) || 24 * 60));
+  };
+  // Keep the rule's timezone selectable even if Intl doesn't list it (e.g. 'UTC')
+  const zones = timeZoneOptions.includes(timeZone) ? timeZoneOptions : [timeZone, ...timeZoneOptions];
+
+  const endTypes = [
+    { value: 'never', label: 'Never' },
+    { value: 'date', label: 'On date' },
+    { value: 'count', label: 'After' },
+  ];
+
   return (
     <div className="p-4 bg-white rounded-lg shadow-md mb-6">
       <h3 className="text-xl font-semibold mb-4 text-gray-800">Date Range</h3>
@@ -299,146 +966,692 @@ const DateRangePicker = () => {
             type="date"
             id="startDate"
             value={startDate}
-            onChange={(e) => setStartDate(e.target.value)}
+            onChange={(e) => dispatch(setField('startDate', e.target.value))}
             className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
             required
+            {...fieldAriaProps(validation, 'startDate', 'startDateMessages')}
           />
+          <FieldMessages id="startDateMessages" field="startDate" />
         </div>
 
-        {/* End Date */}
-        <div className="flex-1">
-          <div className="flex items-center mb-2">
-            <input
-              type="checkbox"
-              id="enableEndDate"
-              className="form-checkbox h-5 w-5 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
-              checked={isEndDateEnabled}
-              onChange={(e) => setIsEndDateEnabled(e.target.checked)}
-            />
-            <label htmlFor="enableEndDate" className="ml-2 text-sm font-medium text-gray-700">Enable End Date</label>
+        {/* End Condition */}
+        <fieldset className="flex-1">
+          <legend className="block text-sm font-medium text-gray-700 mb-2">Ends:</legend>
+          {endTypes.map(({ value, label }) => (
+            <div key={value} className="flex items-center gap-2 mb-2">
+              <label className="inline-flex items-center cursor-pointer">
+                <input
+                  type="radio"
+                  className="form-radio h-5 w-5 text-blue-600 rounded-full border-gray-300 focus:ring-blue-500"
+                  name="endType"
+                  value={value}
+                  checked={endType === value}
+                  onChange={() => dispatch({ type: 'setEndType', endType: value })}
+                />
+                <span className="ml-2 text-sm text-gray-700">{label}</span>
+              </label>
+
+              {value === 'date' && (
+                <input
+                  type="date"
+                  id="endDate"
+                  aria-label="End Date"
+                  value={endDate}
+                  onChange={(e) => dispatch(setField('endDate', e.target.value))}
+                  className={`flex-1 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 ${endType !== 'date' ? 'bg-gray-100 cursor-not-allowed' : ''}`}
+                  disabled={endType !== 'date'}
+                  {...fieldAriaProps(validation, 'endDate', 'endDateMessages')}
+                />
+              )}
+
+              {value === 'count' && (
+                <>
+                  <input
+                    type="number"
+                    id="occurrenceCount"
+                    aria-label="Number of occurrences"
+                    min="1"
+                    value={occurrenceCount}
+                    onChange={(e) => dispatch(setField('count', Math.max(1, parseInt(e.target.value) || 1)))}
+                    className={`w-20 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 ${endType !== 'count' ? 'bg-gray-100 cursor-not-allowed' : ''}`}
+                    disabled={endType !== 'count'}
+                    {...fieldAriaProps(validation, 'count', 'countMessages')}
+                  />
+                  <span className="text-sm text-gray-700">occurrences</span>
+                </>
+              )}
+            </div>
+          ))}
+          <FieldMessages id="endDateMessages" field="endDate" />
+          <FieldMessages id="countMessages" field="count" />
+        </fieldset>
+      </div>
+
+      {/* Time of Day */}
+      <fieldset className="pt-4 border-t border-gray-200">
+        <legend className="sr-only">Time of day</legend>
+        <label className="inline-flex items-center cursor-pointer mb-4">
+          <input
+            type="checkbox"
+            id="allDay"
+            className="form-checkbox h-5 w-5 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+            checked={allDay}
+            onChange={(e) => dispatch(setField('allDay', e.target.checked))}
+          />
+          <span className="ml-2 text-sm text-gray-700">All day</span>
+        </label>
+
+        {!allDay && (
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            <div>
+              <label htmlFor="startTime" className="block text-sm font-medium text-gray-700 mb-2">Start Time:</label>
+              <input
+                type="time"
+                id="startTime"
+                value={startTime}
+                onChange={(e) => dispatch(setField('startTime', e.target.value))}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                {...fieldAriaProps(validation, 'startTime', 'startTimeMessages')}
+              />
+              <FieldMessages id="startTimeMessages" field="startTime" />
+            </div>
+            <div>
+              <label htmlFor="endTime" className="block text-sm font-medium text-gray-700 mb-2">End Time:</label>
+              <input
+                type="time"
+                id="endTime"
+                value={endTime}
+                onChange={(e) => handleEndTimeChange(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="duration" className="block text-sm font-medium text-gray-700 mb-2">Duration (minutes):</label>
+              <input
+                type="number"
+                id="duration"
+                min="1"
+                value={duration}
+                onChange={(e) => dispatch(setField('duration', Math.max(1, parseInt(e.target.value) || 1)))}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                {...fieldAriaProps(validation, 'duration', 'durationMessages')}
+              />
+              <FieldMessages id="durationMessages" field="duration" />
+            </div>
+            <div>
+              <label htmlFor="timeZone" className="block text-sm font-medium text-gray-700 mb-2">Time Zone:</label>
+              <select
+                id="timeZone"
+                value={timeZone}
+                onChange={(e) => dispatch(setField('timeZone', e.target.value))}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                {...fieldAriaProps(validation, 'timeZone', 'timeZoneMessages')}
+              >
+                {zones.map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+              </select>
+              <FieldMessages id="timeZoneMessages" field="timeZone" />
+            </div>
           </div>
+        )}
+      </fieldset>
+    </div>
+  );
+};
+
+// --- RRULE Import/Export Component ---
+const RRulePanel = () => {
+  const { rrule, rruleError, loadRRule } = useRecurrence();
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState('');
+
+  const handleImport = () => {
+    try {
+      loadRRule(importText);
+      setImportError('');
+      setImportText('');
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow-md mb-6">
+      <h3 className="text-xl font-semibold mb-4 text-gray-800">iCalendar RRULE</h3>
+
+      <label htmlFor="rruleExport" className="block text-sm font-medium text-gray-700 mb-2">Current Rule:</label>
+      <textarea
+        id="rruleExport"
+        readOnly
+        rows={2}
+        value={rrule}
+        className="w-full p-2 font-mono text-sm border border-gray-300 rounded-md bg-gray-50"
+      />
+      {rruleError && (
+        <p className="mt-2 text-sm text-amber-700">{rruleError}</p>
+      )}
+
+      <label htmlFor="rruleImport" className="block text-sm font-medium text-gray-700 mt-4 mb-2">Load Rule:</label>
+      <textarea
+        id="rruleImport"
+        rows={2}
+        value={importText}
+        onChange={(e) => setImportText(e.target.value)}
+        placeholder="RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+        className="w-full p-2 font-mono text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+      />
+      {importError && (
+        <p className="mt-2 text-sm text-red-600" role="alert">{importError}</p>
+      )}
+      <button
+        onClick={handleImport}
+        disabled={!importText.trim()}
+        className="mt-2 px-4 py-2 rounded-md bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-400"
+      >
+        Load
+      </button>
+    </div>
+  );
+};
+
+// --- Export Component ---
+// Save a generated document through a temporary download link
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const ExportPanel = () => {
+  const { rule, holidays, validation } = useRecurrence();
+  const [title, setTitle] = useState('Recurring event');
+  const [limit, setLimit] = useState(100);
+  const [exportError, setExportError] = useState('');
+
+  const formats = [
+    { value: 'ics', label: 'Calendar (.ics)' },
+    { value: 'icsExpanded', label: 'Calendar, one event per date (.ics)' },
+    { value: 'csv', label: 'CSV' },
+    { value: 'json', label: 'JSON' },
+  ];
+
+  const handleExport = (format) => {
+    // Open-ended series are cut off at `limit`; the RRULE export keeps the whole rule
+    const occurrences = generateOccurrences({ ...rule, holidays }, { limit });
+    const filename = `recurrence-${rule.startDate}`;
+    try {
+      if (format === 'ics') {
+        downloadFile(`${filename}.ics`, toICalendar(rule, { summary: title }), 'text/calendar');
+      } else if (format === 'icsExpanded') {
+        downloadFile(`${filename}.ics`, toICalendar(rule, { summary: title, expand: true, occurrences }), 'text/calendar');
+      } else if (format === 'csv') {
+        downloadFile(`${filename}.csv`, toCSV(rule, occurrences), 'text/csv');
+      } else {
+        downloadFile(`${filename}.json`, toJSON(rule, occurrences), 'application/json');
+      }
+      setExportError('');
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow-md mb-6">
+      <h3 className="text-xl font-semibold mb-4 text-gray-800">Export</h3>
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <div className="flex-1">
+          <label htmlFor="exportTitle" className="block text-sm font-medium text-gray-700 mb-2">Event Title:</label>
           <input
-            type="date"
-            id="endDate"
-            value={endDate}
-            onChange={(e) => setEndDate(e.target.value)}
-            className={`w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 ${!isEndDateEnabled ? 'bg-gray-100 cursor-not-allowed' : ''}`}
-            disabled={!isEndDateEnabled}
+            type="text"
+            id="exportTitle"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
           />
         </div>
+        <div>
+          <label htmlFor="exportLimit" className="block text-sm font-medium text-gray-700 mb-2">Dates to Export (at most):</label>
+          <input
+            type="number"
+            id="exportLimit"
+            min="1"
+            value={limit}
+            onChange={(e) => setLimit(Math.max(1, parseInt(e.target.value) || 1))}
+            className="w-28 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {formats.map(({ value, label }) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => handleExport(value)}
+            disabled={!validation.valid}
+            className="px-4 py-2 rounded-md bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          >
+            {label}
+          </button>
+        ))}
       </div>
+      {!validation.valid && (
+        <p className="mt-2 text-sm text-amber-700">Fix the errors above to export this rule.</p>
+      )}
+      {exportError && (
+        <p className="mt-2 text-sm text-red-600" role="alert">{exportError}</p>
+      )}
     </div>
   );
 };
 
 // --- Calendar Preview Component ---
-const CalendarPreview = () => {
-  const { calculatedRecurringDates, startDate } = useRecurrence();
-  const [currentMonth, setCurrentMonth] = useState(new Date().getMonth());
-  const [currentYear, setCurrentYear] = useState(new Date().getFullYear());
+const daysInMonth = (month, year) => makeDate(year, month + 1, 0).getUTCDate();
+const firstDayOfMonth = (month, year) => makeDate(year, month, 1).getUTCDay(); // 0 for Sunday
 
-  // Update current month/year when startDate changes
-  useEffect(() => {
-    if (startDate) {
-      const start = new Date(startDate);
-      setCurrentMonth(start.getMonth());
-      setCurrentYear(start.getFullYear());
-    }
-  }, [startDate]);
+// Preview layouts: month grids side by side, or a list of upcoming dates
+const previewViews = [
+  { value: 'month', label: '1 month', months: 1, layoutClass: '' },
+  { value: 'quarter', label: '3 months', months: 3, layoutClass: 'grid grid-cols-1 md:grid-cols-3 gap-4' },
+  { value: 'year', label: '12 months', months: 12, layoutClass: 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4' },
+  { value: 'agenda', label: 'Agenda', months: 1, layoutClass: '' },
+];
+const agendaLengths = [10, 25, 50];
+
+// Time span of a timed rule's occurrence on a date, e.g. "9:00 – 10:00 AM EST"
+const describeTimes = (rule, dateString, locale) => {
+  if (rule.allDay) return '';
+  const { start, end } = getOccurrenceTimes(rule, dateString);
+  return formatTimeRange(start, end, locale, rule.timeZone);
+};
 
-  const daysInMonth = (month, year) => new Date(year, month + 1, 0).getDate();
-  const firstDayOfMonth = (month, year) => new Date(year, month, 1).getDay(); // 0 for Sunday
+// "moved from Mar 1, 2025" for an occurrence moved off a weekend or holiday
+const describeMove = (originalDate, locale) => (originalDate ? `moved from ${formatDateString(originalDate, locale)}` : '');
 
-  const monthNames = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-  const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Titles of existing events as a list, e.g. "Team offsite and Dentist"
+const listEventTitles = (events, locale) => (
+  new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(events.map(event => event.title || 'Untitled event'))
+);
+
+// "conflicts with Team offsite" for an occurrence overlapping existing events
+const describeConflict = (events, locale) => (events ? `conflicts with ${listEventTitles(events, locale)}` : '');
+
+// Spoken description of a day, e.g. "Tuesday, March 4, 2025, recurring occurrence, 9:00 – 10:00 AM EST"
+const describeDay = (dateString, locale, { isRecurring, isExtra, isExcluded, isStartDate, movedFrom, conflictsWith, times }) => {
+  const statuses = [
+    isStartDate && 'start date',
+    isRecurring && 'recurring occurrence',
+    describeMove(movedFrom, locale),
+    describeConflict(conflictsWith, locale),
+    isExtra && 'extra date',
+    isExcluded && 'excluded date',
+    times,
+  ].filter(Boolean);
+  const label = formatDateString(dateString, locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  return [label, ...statuses].join(', ');
+};
+
+// One month as a WAI-ARIA grid. `occurrenceSet` holds the preview's occurrences,
+// `movedDates` maps occurrences moved off a non-working day to their original dates,
+// `conflictDates` maps occurrences to the existing events they overlap and `activeDate`
+// is the day with this grid's tab stop (roving tabindex).
+const MonthGrid = ({ year, month, occurrenceSet, movedDates, conflictDates, activeDate, compact, onDayKeyDown, onDayFocus }) => {
+  const {
+    startDate,
+    weekStart,
+    excludedDates,
+    extraDates,
+    toggleDateException,
+    locale,
+    rule,
+    validation,
+  } = useRecurrence();
 
-  const renderCalendarDays = () => {
-    const totalDays = daysInMonth(currentMonth, currentYear);
-    const firstDay = firstDayOfMonth(currentMonth, currentYear);
+  const orderedDays = getOrderedDayNames(weekStart);
+  const weekdayNames = orderedDays.map(day => formatWeekday(day, locale, compact ? 'narrow' : 'short'));
+  const extraDateSet = useMemo(() => new Set(extraDates), [extraDates]);
+  const excludedDateSet = useMemo(() => new Set(excludedDates), [excludedDates]);
+  const captionId = `calendarMonth-${year}-${month + 1}`;
+  const cellSize = compact ? 'p-1 text-xs' : 'p-2 text-sm';
+
+  const renderCalendarRows = () => {
+    const totalDays = daysInMonth(month, year);
+    // Column of the 1st, counted from the configured first day of the week
+    const firstDay = (firstDayOfMonth(month, year) - DAY_NAMES.indexOf(weekStart) + 7) % 7;
     const days = [];
 
     // Fill leading empty days
     for (let i = 0; i < firstDay; i++) {
-      days.push(<div key={`empty-${i}`} className="p-2"></div>);
+      days.push(<div key={`empty-${i}`} role="gridcell" className={cellSize}></div>);
     }
 
     // Fill days of the month
     for (let day = 1; day <= totalDays; day++) {
-      const dateString = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-      const isRecurring = calculatedRecurringDates.includes(dateString);
+      const dateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      const isExtra = extraDateSet.has(dateString);
+      const isExcluded = excludedDateSet.has(dateString);
+      const isRecurring = occurrenceSet.has(dateString) && !isExtra;
       const isStartDate = startDate === dateString;
+      const movedFrom = isRecurring ? movedDates.get(dateString) : undefined;
+      const conflictsWith = conflictDates.get(dateString);
+      // Times of the occurrence, where it was moved from and what it overlaps, shown on hover
+      const times = (isRecurring || isExtra) && validation.valid ? describeTimes(rule, dateString, locale) : '';
+      const details = [describeMove(movedFrom, locale), describeConflict(conflictsWith, locale), times].filter(Boolean).join('\n');
+      const hint = isRecurring || isExtra ? 'Click to exclude this date' : 'Click to add this date';
 
       days.push(
-        <div
-          key={dateString}
-          className={`p-2 text-center rounded-md text-sm font-medium
-            ${isRecurring ? 'bg-blue-200 text-blue-800 border border-blue-400' : 'text-gray-700'}
-            ${isStartDate ? 'bg-green-300 text-green-900 font-bold border border-green-500' : ''}
-            ${!isRecurring && !isStartDate ? 'bg-gray-50 hover:bg-gray-100' : ''}
-          `}
-        >
-          {day}
+        <div key={dateString} role="gridcell" aria-selected={isRecurring || isExtra}>
+          <button
+            type="button"
+            data-date={dateString}
+            tabIndex={dateString === activeDate ? 0 : -1}
+            aria-label={describeDay(dateString, locale, { isRecurring, isExtra, isExcluded, isStartDate, movedFrom, conflictsWith, times })}
+            onClick={() => toggleDateException(dateString)}
+            onKeyDown={(e) => onDayKeyDown(e, dateString)}
+            onFocus={() => onDayFocus(dateString)}
+            title={details ? `${details}\n${hint}` : hint}
+            className={`w-full ${cellSize} text-center rounded-md font-medium cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500
+              ${isRecurring && !movedFrom && !conflictsWith ? 'bg-blue-200 text-blue-800 border border-blue-400' : 'text-gray-700'}
+              ${movedFrom && !conflictsWith ? 'bg-indigo-100 text-indigo-800 border border-dashed border-indigo-500' : ''}
+              ${isExtra && !conflictsWith ? 'bg-amber-200 text-amber-900 border border-amber-400' : ''}
+              ${conflictsWith ? 'bg-orange-200 text-orange-900 border-2 border-orange-500' : ''}
+              ${isExcluded ? 'bg-red-100 text-red-700 line-through border border-red-300' : ''}
+              ${isStartDate ? 'bg-green-300 text-green-900 font-bold border border-green-500' : ''}
+              ${!isRecurring && !isExtra && !isExcluded && !isStartDate ? 'bg-gray-50 hover:bg-gray-100' : ''}
+            `}
+          >
+            {day}
+          </button>
+        </div>
+      );
+    }
+
+    // Fill trailing empty days, then split into weeks
+    while (days.length % 7 !== 0) {
+      days.push(<div key={`empty-${days.length}`} role="gridcell" className={cellSize}></div>);
+    }
+    const weeks = [];
+    for (let i = 0; i < days.length; i += 7) {
+      weeks.push(
+        <div key={`week-${i / 7}`} role="row" className="grid grid-cols-7 gap-1">
+          {days.slice(i, i + 7)}
         </div>
       );
     }
-    return days;
+    return weeks;
   };
 
-  const goToPreviousMonth = () => {
-    if (currentMonth === 0) {
-      setCurrentMonth(11);
-      setCurrentYear(prev => prev - 1);
-    } else {
-      setCurrentMonth(prev => prev - 1);
+  return (
+    <div>
+      {/* The single-month view names its month in the navigation bar instead */}
+      <h4 id={captionId} className={compact ? 'mb-1 text-sm font-semibold text-gray-700 text-center' : 'sr-only'}>
+        {formatMonthYear(year, month, locale)}
+      </h4>
+      <div role="grid" aria-labelledby={captionId} className="flex flex-col gap-1 text-center">
+        <div role="row" className="grid grid-cols-7 gap-1">
+          {orderedDays.map((day, index) => (
+            <div key={day} role="columnheader" aria-label={formatWeekday(day, locale)} className={`font-bold text-gray-600 ${cellSize}`}>
+              {weekdayNames[index]}
+            </div>
+          ))}
+        </div>
+        {renderCalendarRows()}
+      </div>
+    </div>
+  );
+};
+
+// Upcoming occurrences as a scrollable list, starting at `from`
+const AgendaList = ({ from, length }) => {
+  const { occurrences, conflicts, startDate, extraDates, locale, rule, validation } = useRecurrence();
+
+  const dates = useMemo(() => {
+    const upcoming = [];
+    const first = parseDate(from);
+    let date = occurrences.after(formatDate(makeDate(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate() - 1)));
+    while (date && upcoming.length < length) {
+      upcoming.push(date);
+      date = occurrences.after(date);
     }
+    return upcoming;
+  }, [occurrences, from, length]);
+
+  const movedDates = useMemo(() => (
+    dates.length > 0
+      ? new Map(occurrences.movedBetween(dates[0], dates[dates.length - 1]).map(({ date, originalDate }) => [date, originalDate]))
+      : new Map()
+  ), [occurrences, dates]);
+
+  if (dates.length === 0) {
+    return <p className="p-4 text-sm text-gray-500">No occurrences from this month on.</p>;
+  }
+
+  return (
+    <>
+      <ol className="max-h-96 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-md">
+        {dates.map(date => (
+          <li key={date} className="flex items-center justify-between p-2 text-sm text-gray-700">
+            <span>
+              {formatDateString(date, locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+              {!rule.allDay && validation.valid && <span className="ml-2 text-gray-500">{describeTimes(rule, date, locale)}</span>}
+              {movedDates.has(date) && <span className="ml-2 text-indigo-700">({describeMove(movedDates.get(date), locale)})</span>}
+            </span>
+            {date === startDate && <span className="px-2 py-0.5 rounded bg-green-300 text-green-900 text-xs font-semibold">Start</span>}
+            {extraDates.includes(date) && <span className="px-2 py-0.5 rounded bg-amber-200 text-amber-900 text-xs font-semibold">Extra</span>}
+            {conflicts.some(conflict => conflict.date === date) && <span className="px-2 py-0.5 rounded bg-orange-200 text-orange-900 text-xs font-semibold">Conflict</span>}
+          </li>
+        ))}
+      </ol>
+      {dates.length < length && <p className="mt-2 text-sm text-gray-500">No further occurrences.</p>}
+    </>
+  );
+};
+
+// Month grids or agenda for the current rule. Every view reads the same lazy
+// `occurrences` iterator from the context, so they always agree.
+const CalendarPreview = () => {
+  const { occurrences, conflicts, startDate, weekStart, locale } = useRecurrence();
+  const [view, setView] = useState('month');
+  const [agendaLength, setAgendaLength] = useState(agendaLengths[0]);
+  // First month shown
+  const [currentMonth, setCurrentMonth] = useState(new Date().getMonth());
+  const [currentYear, setCurrentYear] = useState(new Date().getFullYear());
+  // Day cell that holds its grid's tab stop (roving tabindex)
+  const [focusedDate, setFocusedDate] = useState('');
+  const gridsRef = useRef(null);
+  const moveFocus = useRef(false); // Set by keyboard moves so the next render focuses the new cell
+
+  const { months: monthsShown, layoutClass } = previewViews.find(option => option.value === view);
+
+  // Show the months starting at `month` (overflow rolls into the next or previous year)
+  const showMonth = (year, month) => {
+    const first = makeDate(year, month, 1);
+    setCurrentMonth(first.getUTCMonth());
+    setCurrentYear(first.getUTCFullYear());
   };
 
-  const goToNextMonth = () => {
-    if (currentMonth === 11) {
-      setCurrentMonth(0);
-      setCurrentYear(prev => prev + 1);
-    } else {
-      setCurrentMonth(prev => prev + 1);
+  // Update current month/year when startDate changes
+  useEffect(() => {
+    if (startDate) {
+      const start = parseDate(startDate);
+      showMonth(start.getUTCFullYear(), start.getUTCMonth());
+    }
+  }, [startDate]);
+
+  // Only the visible months are generated; the Set keeps the per-cell lookups constant time
+  const rangeStart = formatDate(makeDate(currentYear, currentMonth, 1));
+  const rangeEnd = formatDate(makeDate(currentYear, currentMonth + monthsShown, 0));
+  const visibleOccurrences = useMemo(
+    () => new Set(occurrences.between(rangeStart, rangeEnd)),
+    [occurrences, rangeStart, rangeEnd]
+  );
+  const movedDates = useMemo(
+    () => new Map(occurrences.movedBetween(rangeStart, rangeEnd).map(({ date, originalDate }) => [date, originalDate])),
+    [occurrences, rangeStart, rangeEnd]
+  );
+  const conflictDates = useMemo(() => new Map(conflicts.map(({ date, events }) => [date, events])), [conflicts]);
+  const isVisible = (dateString) => dateString >= rangeStart && dateString <= rangeEnd;
+
+  // The next occurrence after the focused day, or when no day in view is focused the
+  // first one in the months shown (counting from the day before them)
+  const nextOccurrence = useMemo(
+    () => occurrences.after(isVisible(focusedDate) ? focusedDate : formatDate(makeDate(currentYear, currentMonth, 0))),
+    [occurrences, focusedDate, rangeStart, rangeEnd]
+  );
+
+  useEffect(() => {
+    if (!moveFocus.current) return;
+    moveFocus.current = false;
+    const cell = gridsRef.current && gridsRef.current.querySelector(`button[data-date="${focusedDate}"]`);
+    if (cell) cell.focus();
+  });
+
+  // Move keyboard focus to a day, bringing its month into view if needed
+  const focusDay = (dateString) => {
+    if (!isVisible(dateString)) {
+      const date = parseDate(dateString);
+      // Moving forwards shows the day's month last, moving backwards shows it first
+      const offset = dateString > rangeEnd ? monthsShown - 1 : 0;
+      showMonth(date.getUTCFullYear(), date.getUTCMonth() - offset);
     }
+    setFocusedDate(dateString);
+    moveFocus.current = true;
   };
 
+  // Grid keyboard navigation, following the WAI-ARIA date picker pattern:
+  // arrows move by day and week, Home/End to the ends of the week, PageUp/PageDown
+  // by month (by year with Shift). Enter and Space toggle the day like a click.
+  const handleDayKeyDown = (event, dateString) => {
+    const date = parseDate(dateString);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const column = (date.getUTCDay() - DAY_NAMES.indexOf(weekStart) + 7) % 7;
+    const shiftMonths = (months) => makeDate(year, month + months, Math.min(day, daysInMonth(month + months, year)));
+    const moves = {
+      ArrowLeft: () => makeDate(year, month, day - 1),
+      ArrowRight: () => makeDate(year, month, day + 1),
+      ArrowUp: () => makeDate(year, month, day - 7),
+      ArrowDown: () => makeDate(year, month, day + 7),
+      Home: () => makeDate(year, month, day - column),
+      End: () => makeDate(year, month, day + 6 - column),
+      PageUp: () => shiftMonths(event.shiftKey ? -12 : -1),
+      PageDown: () => shiftMonths(event.shiftKey ? 12 : 1),
+    };
+    if (!moves[event.key]) return;
+    event.preventDefault();
+    focusDay(formatDate(moves[event.key]()));
+  };
+
+  const jumpToNextOccurrence = () => {
+    if (nextOccurrence) focusDay(nextOccurrence);
+  };
+
+  const stepLabel = monthsShown === 1 ? 'Month' : `${monthsShown} Months`;
+
+  // Each grid keeps its tab stop on the focused day, else the start date or the 1st
+  const renderMonthGrids = () => Array.from({ length: monthsShown }, (_, index) => {
+    const first = makeDate(currentYear, currentMonth + index, 1);
+    const year = first.getUTCFullYear();
+    const month = first.getUTCMonth();
+    const monthStart = formatDate(first);
+    const monthEnd = formatDate(makeDate(year, month + 1, 0));
+    const inMonth = (dateString) => dateString >= monthStart && dateString <= monthEnd;
+    return (
+      <MonthGrid
+        key={monthStart}
+        year={year}
+        month={month}
+        occurrenceSet={visibleOccurrences}
+        movedDates={movedDates}
+        conflictDates={conflictDates}
+        activeDate={inMonth(focusedDate) ? focusedDate : inMonth(startDate) ? startDate : monthStart}
+        compact={monthsShown > 1}
+        onDayKeyDown={handleDayKeyDown}
+        onDayFocus={setFocusedDate}
+      />
+    );
+  });
+
   return (
     <div className="p-4 bg-white rounded-lg shadow-md">
       <h3 className="text-xl font-semibold mb-4 text-gray-800">Calendar Preview</h3>
 
+      {/* View Switcher */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div role="radiogroup" aria-label="Preview layout" className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+          {previewViews.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={view === value}
+              onClick={() => setView(value)}
+              className={`px-3 py-1 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500 ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={jumpToNextOccurrence}
+          disabled={!nextOccurrence}
+          className="px-3 py-1 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          Next occurrence
+        </button>
+      </div>
+
       {/* Month Navigation */}
       <div className="flex justify-between items-center mb-4">
         <button
-          onClick={goToPreviousMonth}
+          type="button"
+          onClick={() => showMonth(currentYear, currentMonth - monthsShown)}
           className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 text-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-400"
-          aria-label="Previous Month"
+          aria-label={`Previous ${stepLabel}`}
         >
           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path></svg>
         </button>
-        <span className="text-lg font-bold text-gray-800">
-          {monthNames[currentMonth]} {currentYear}
+        {/* Live region: screen readers announce the months whenever they change */}
+        <span id="calendarMonth" className="text-lg font-bold text-gray-800" aria-live="polite">
+          {formatMonthRange(currentYear, currentMonth, monthsShown, locale)}
         </span>
         <button
-          onClick={goToNextMonth}
+          type="button"
+          onClick={() => showMonth(currentYear, currentMonth + monthsShown)}
           className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 text-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-400"
-          aria-label="Next Month"
+          aria-label={`Next ${stepLabel}`}
         >
           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path></svg>
         </button>
       </div>
 
-      {/* Calendar Grid */}
-      <div className="grid grid-cols-7 gap-1 text-center">
-        {weekdayNames.map(day => (
-          <div key={day} className="font-bold text-gray-600 text-sm p-2">
-            {day}
-          </div>
-        ))}
-        {renderCalendarDays()}
-      </div>
+      {view === 'agenda' ? (
+        <>
+          <label htmlFor="agendaLength" className="block mb-2 text-sm font-medium text-gray-700">
+            Show the next
+            <select
+              id="agendaLength"
+              value={agendaLength}
+              onChange={(e) => setAgendaLength(Number(e.target.value))}
+              className="mx-2 p-1 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              {agendaLengths.map(length => <option key={length} value={length}>{length}</option>)}
+            </select>
+            occurrences
+          </label>
+          <AgendaList from={rangeStart} length={agendaLength} />
+        </>
+      ) : (
+        /* Calendar Grids */
+        <div ref={gridsRef} className={layoutClass}>
+          {renderMonthGrids()}
+        </div>
+      )}
 
       <div className="mt-6 p-3 bg-gray-50 rounded-md border border-gray-200 text-sm text-gray-700">
         <p className="font-semibold mb-2">Legend:</p>
@@ -446,64 +1659,189 @@ const CalendarPreview = () => {
           <span className="w-4 h-4 bg-green-300 rounded-sm mr-2 border border-green-500"></span>
           <span>Start Date</span>
         </div>
-        <div className="flex items-center">
+        <div className="flex items-center mb-1">
           <span className="w-4 h-4 bg-blue-200 rounded-sm mr-2 border border-blue-400"></span>
           <span>Recurring Date</span>
         </div>
+        <div className="flex items-center mb-1">
+          <span className="w-4 h-4 bg-indigo-100 rounded-sm mr-2 border border-dashed border-indigo-500"></span>
+          <span>Moved Date (off a weekend or holiday)</span>
+        </div>
+        <div className="flex items-center mb-1">
+          <span className="w-4 h-4 bg-amber-200 rounded-sm mr-2 border border-amber-400"></span>
+          <span>Extra Date</span>
+        </div>
+        <div className="flex items-center mb-1">
+          <span className="w-4 h-4 bg-red-100 rounded-sm mr-2 border border-red-300"></span>
+          <span>Excluded Date</span>
+        </div>
+        <div className="flex items-center">
+          <span className="w-4 h-4 bg-orange-200 rounded-sm mr-2 border-2 border-orange-500"></span>
+          <span>Conflict (overlaps an existing event)</span>
+        </div>
+        <p className="mt-2 text-gray-500">Click a day to exclude a recurring date or add a one-off date. Use the arrow keys, Home, End, PageUp and PageDown to move between days.</p>
       </div>
     </div>
   );
 };
 
+// --- Rule Summary Component ---
+// The configured rule in words, in the picker's locale
+const RuleSummary = () => {
+  const { rule, locale } = useRecurrence();
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow-md mb-6">
+      <h3 className="text-xl font-semibold mb-2 text-gray-800">Summary</h3>
+      <p className="text-gray-700" aria-live="polite">{describeRule(rule, locale)}</p>
+    </div>
+  );
+};
+
+// --- Conflicts Component ---
+// Occurrences that overlap the existing events, each with an exclude button, and the
+// events that couldn't be checked. Hidden when no existing events are given.
+const ConflictsList = () => {
+  const { existingEvents, invalidEvents, conflicts, excludeConflicts, toggleDateException, locale, rule } = useRecurrence();
+
+  if (existingEvents.length === 0) return null;
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow-md mb-6">
+      <h3 className="text-xl font-semibold mb-2 text-gray-800">Conflicts</h3>
+      {invalidEvents.length > 0 && (
+        <ul className="mb-2 text-sm text-amber-700">
+          {invalidEvents.map(({ message }, index) => (
+            <li key={index}>{message}, so it is not checked.</li>
+          ))}
+        </ul>
+      )}
+      {conflicts.length === 0 ? (
+        <p className="text-sm text-gray-500">No occurrences overlap existing events.</p>
+      ) : (
+        <>
+          <ul className="max-h-64 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-md mb-3">
+            {conflicts.map(({ date, events }) => (
+              <li key={date} className="flex items-center justify-between gap-2 p-2 text-sm text-gray-700">
+                <span>
+                  {formatDateString(date, locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+                  {!rule.allDay && <span className="ml-2 text-gray-500">{describeTimes(rule, date, locale)}</span>}
+                  <span className="block text-orange-800">{describeConflict(events, locale)}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => toggleDateException(date)}
+                  className="px-2 py-1 rounded-md border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                >
+                  Exclude
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={excludeConflicts}
+            className="px-4 py-2 rounded-md bg-orange-600 text-white font-medium hover:bg-orange-700 focus:outline-none focus:ring-2 focus:ring-orange-400"
+          >
+            Exclude all conflicting dates
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- Recurring Date Picker Component ---
+// The complete picker. Pass `value` and `onChange(rule, occurrences)` to control it, or
+// an optional `defaultValue` to prefill it and let it manage its own state.
+// `holidays`, `existingEvents`, `presets`, `presetStore` and `urlParam` are passed to
+// RecurrenceProvider.
+const RecurringDatePicker = ({ value, defaultValue, onChange, locale, holidays, existingEvents, presets, presetStore, urlParam }) => (
+  <RecurrenceProvider
+    value={value}
+    defaultValue={defaultValue}
+    onChange={onChange}
+    locale={locale}
+    holidays={holidays}
+    existingEvents={existingEvents}
+    presets={presets}
+    presetStore={presetStore}
+    urlParam={urlParam}
+  >
+    <HistoryShortcuts>
+      <HistoryControls />
+      <PresetPanel />
+      <RecurrenceOptions />
+      <DateRangePicker />
+      <RRulePanel />
+      <ExportPanel />
+      <RuleSummary />
+      <ConflictsList />
+      <CalendarPreview />
+    </HistoryShortcuts>
+  </RecurrenceProvider>
+);
+
 // --- Main App Component ---
+// Sample holiday calendar for the demo: New Year's Day and Christmas
+const sampleHolidays = (year) => [`${year}-01-01`, `${year}-12-25`];
+
+// Sample existing events for the demo, in the current month
+const sampleEventDate = (day) => formatDate(makeDate(new Date().getFullYear(), new Date().getMonth(), day));
+const sampleEvents = [
+  { title: 'Team offsite', start: sampleEventDate(10), end: sampleEventDate(11) },
+  { title: 'Dentist', start: `${sampleEventDate(15)}T09:30:00`, end: `${sampleEventDate(15)}T10:30:00` },
+];
+
 export default function App() {
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const localeNames = new Intl.DisplayNames([locale], { type: 'language' });
+
   return (
-    <RecurrenceProvider>
-      <div className="min-h-screen bg-gray-100 p-4 sm:p-8 font-sans antialiased">
-        <style>
-          {`
-            @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
-            body { font-family: 'Inter', sans-serif; }
-          `}
-        </style>
-        <div className="max-w-4xl mx-auto">
-          <h1 className="text-3xl font-bold text-gray-900 mb-8 text-center">
-            Recurring Date Picker
-          </h1>
-          <RecurrenceOptions />
-          <DateRangePicker />
-          <CalendarPreview />
-
-          {/* Testing Requirements - Placeholder Comments */}
-          <div className="mt-10 p-6 bg-gray-50 rounded-lg border border-gray-200">
-            <h3 className="text-xl font-semibold mb-4 text-gray-800">Testing Notes (Conceptual)</h3>
-            <p className="mb-2 text-gray-700">
-              In a real development environment, you would include unit and integration tests.
-            </p>
-            <ul className="list-disc list-inside text-gray-700">
-              <li className="mb-1">
-                <strong>Unit Tests:</strong>
-                <ul className="list-disc list-inside ml-4 text-gray-600">
-                  <li>Test `RecurrenceContext`'s `calculatedRecurringDates` logic for each recurrence type (daily, weekly, monthly, yearly) with various intervals and date ranges.</li>
-                  <li>Verify correct date calculation for specific monthly patterns (e.g., "second Tuesday").</li>
-                  <li>Test edge cases like start/end dates being the same, or intervals that skip dates.</li>
-                </ul>
-              </li>
-              <li>
-                <strong>Integration Tests:</strong>
-                <ul className="list-disc list-inside ml-4 text-gray-600">
-                  <li>Simulate user interactions (e.g., selecting "weekly", checking specific days, changing interval).</li>
-                  <li>Assert that the `CalendarPreview` correctly highlights the expected recurring dates after these interactions.</li>
-                  <li>Verify that enabling/disabling the end date correctly affects the displayed dates.</li>
-                </ul>
-              </li>
-            </ul>
-            <p className="mt-4 text-gray-700">
-              These tests would typically be written using a testing library like Jest and React Testing Library.
-            </p>
-          </div>
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-8 font-sans antialiased">
+      <style>
+        {`
+          @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
+          body { font-family: 'Inter', sans-serif; }
+        `}
+      </style>
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+          Recurring Date Picker
+        </h1>
+        <div className="mb-6 text-right">
+          <label htmlFor="locale" className="text-sm font-medium text-gray-700">
+            Language
+            <select
+              id="locale"
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              className="ml-2 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              {SUPPORTED_LOCALES.map(code => (
+                <option key={code} value={code}>{localeNames.of(code)}</option>
+              ))}
+            </select>
+          </label>
         </div>
+        <RecurringDatePicker locale={locale} holidays={sampleHolidays} existingEvents={sampleEvents} urlParam="rule" />
       </div>
-    </RecurrenceProvider>
+    </div>
   );
 }
+
+export {
+  RecurringDatePicker,
+  RecurrenceProvider,
+  useRecurrence,
+  HistoryShortcuts,
+  HistoryControls,
+  PresetPanel,
+  RecurrenceOptions,
+  DateRangePicker,
+  RRulePanel,
+  ExportPanel,
+  RuleSummary,
+  ConflictsList,
+  CalendarPreview,
+};
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import React, { useState } from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import { RecurringDatePicker, RecurrenceProvider, CalendarPreview } from './app';
+import { createMemoryPresetStore } from './presets';
+
+expect.extend(toHaveNoViolations);
+
+const WEEKLY_RULE = {
+  recurrenceType: 'weekly',
+  daysOfWeek: ['Tuesday', 'Thursday'],
+  startDate: '2025-03-04',
+  timeZone: 'UTC',
+};
+
+const renderPreview = (rule = WEEKLY_RULE) => render(
+  <RecurrenceProvider defaultValue={rule} locale="en-US" presetStore={createMemoryPresetStore()}>
+    <CalendarPreview />
+  </RecurrenceProvider>
+);
+
+const tabStops = () => screen.getByRole('grid').querySelectorAll('button[tabindex="0"]');
+const dayCell = (date) => screen.getByRole('grid').querySelector(`button[data-date="${date}"]`);
+const focusTabStop = () => act(() => tabStops()[0].focus());
+const pressKey = (key, options = {}) => fireEvent.keyDown(document.activeElement, { key, ...options });
+const monthHeading = () => document.getElementById('calendarMonth').textContent;
+
+describe('CalendarPreview', () => {
+  test('shows the start date\'s month as a grid with one tab stop on the start date', () => {
+    renderPreview();
+    expect(screen.getByRole('grid')).toBeTruthy();
+    expect(monthHeading()).toBe('March 2025');
+    expect(tabStops()).toHaveLength(1);
+    expect(tabStops()[0].getAttribute('data-date')).toBe('2025-03-04');
+  });
+
+  test('labels days with the full date and whether they recur', () => {
+    renderPreview();
+    expect(dayCell('2025-03-06').getAttribute('aria-label')).toBe('Thursday, March 6, 2025, recurring occurrence');
+    expect(dayCell('2025-03-05').getAttribute('aria-label')).toBe('Wednesday, March 5, 2025');
+    expect(within(screen.getByRole('grid')).getByRole('button', { name: /^Tuesday, March 4, 2025, start date/ })).toBeTruthy();
+  });
+
+  test('arrow keys move focus and the tab stop between days', () => {
+    renderPreview();
+    focusTabStop();
+    pressKey('ArrowRight');
+    expect(document.activeElement).toBe(dayCell('2025-03-05'));
+    pressKey('ArrowDown');
+    expect(document.activeElement).toBe(dayCell('2025-03-12'));
+    pressKey('ArrowLeft');
+    pressKey('ArrowUp');
+    expect(document.activeElement).toBe(dayCell('2025-03-04'));
+    expect(tabStops()).toHaveLength(1);
+    expect(tabStops()[0]).toBe(document.activeElement);
+  });
+
+  test('arrow keys and PageDown move across months', () => {
+    renderPreview();
+    focusTabStop();
+    pressKey('PageDown');
+    expect(monthHeading()).toBe('April 2025');
+    expect(document.activeElement).toBe(dayCell('2025-04-04'));
+    pressKey('ArrowUp');
+    expect(monthHeading()).toBe('March 2025');
+    expect(document.activeElement).toBe(dayCell('2025-03-28'));
+    pressKey('PageDown', { shiftKey: true });
+    expect(monthHeading()).toBe('March 2026');
+    expect(document.activeElement).toBe(dayCell('2026-03-28'));
+    expect(tabStops()).toHaveLength(1);
+  });
+
+  test('the month buttons keep a single tab stop in the grid', () => {
+    renderPreview();
+    fireEvent.click(screen.getByRole('button', { name: 'Next Month' }));
+    expect(monthHeading()).toBe('April 2025');
+    expect(tabStops()).toHaveLength(1);
+    fireEvent.click(screen.getByRole('button', { name: 'Previous Month' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Previous Month' }));
+    expect(monthHeading()).toBe('February 2025');
+    expect(tabStops()).toHaveLength(1);
+  });
+
+  test('next occurrence starts from the months shown, then from the focused day', () => {
+    renderPreview();
+    fireEvent.click(screen.getByRole('button', { name: 'Next Month' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Next occurrence' }));
+    expect(document.activeElement).toBe(dayCell('2025-04-01'));
+    fireEvent.click(screen.getByRole('button', { name: 'Next occurrence' }));
+    expect(document.activeElement).toBe(dayCell('2025-04-03'));
+  });
+
+  test('has no axe violations', async () => {
+    const { container } = renderPreview();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('RecurringDatePicker', () => {
+  test('keeps working while the start time is cleared and retyped', () => {
+    render(
+      <RecurringDatePicker
+        defaultValue={{ ...WEEKLY_RULE, allDay: false, startTime: '09:30', duration: 60 }}
+        locale="en-US"
+        presetStore={createMemoryPresetStore()}
+      />
+    );
+    const summary = () => screen.getByRole('heading', { name: 'Summary' }).nextElementSibling.textContent;
+    expect(summary()).toMatch(/9:30/);
+
+    fireEvent.change(document.getElementById('startTime'), { target: { value: '' } });
+    expect(summary()).toBe('Every week on Tuesday and Thursday, starting Mar 4, 2025');
+    expect(screen.getByText('Choose a start time.')).toBeTruthy();
+
+    fireEvent.change(document.getElementById('startTime'), { target: { value: '14:00' } });
+    expect(summary()).toMatch(/2:00\s–\s3:00\sPM UTC/);
+  });
+
+  test('holds an invalid edit as a draft without reporting or exporting it', () => {
+    const onChange = jest.fn();
+    render(<RecurringDatePicker defaultValue={WEEKLY_RULE} onChange={onChange} locale="en-US" presetStore={createMemoryPresetStore()} />);
+    const exportButtons = () => screen.getAllByRole('button', { name: /\(\.(ics|csv|json)\)$/ });
+
+    fireEvent.click(screen.getByRole('radio', { name: 'On date' }));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    fireEvent.change(document.getElementById('endDate'), { target: { value: '2025-03-01' } });
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(document.getElementById('endDate').value).toBe('2025-03-01');
+    expect(document.getElementById('endDate').getAttribute('aria-invalid')).toBe('true');
+    expect(screen.getByText('The end date precedes the start date.')).toBeTruthy();
+    expect(document.getElementById('rruleExport').value).toBe('');
+    expect(exportButtons().every(button => button.disabled)).toBe(true);
+
+    fireEvent.change(document.getElementById('endDate'), { target: { value: '2025-03-31' } });
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange.mock.calls[1][0]).toMatchObject({ endType: 'date', endDate: '2025-03-31' });
+    expect(exportButtons().every(button => !button.disabled)).toBe(true);
+  });
+
+  test('leaves unreadable existing events out of the conflict check', () => {
+    const existingEvents = [{ title: 'Broken', start: 'soon' }, { title: 'Offsite', start: '2025-03-06' }];
+    render(<RecurringDatePicker defaultValue={WEEKLY_RULE} existingEvents={existingEvents} locale="en-US" presetStore={createMemoryPresetStore()} />);
+    expect(screen.getByText('Event "Broken" has an invalid start or end, so it is not checked.')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Exclude all conflicting dates' })).toBeTruthy();
+  });
+
+  test('labels the recurrence types in the locale', () => {
+    render(<RecurringDatePicker defaultValue={WEEKLY_RULE} locale="es" presetStore={createMemoryPresetStore()} />);
+    expect(screen.getByRole('radio', { name: 'Semanal' }).checked).toBe(true);
+    expect(screen.getByRole('radio', { name: 'Mensual' })).toBeTruthy();
+  });
+
+  describe('controlled', () => {
+    const renderControlled = (props) => render(
+      <RecurringDatePicker value={WEEKLY_RULE} locale="en-US" presetStore={createMemoryPresetStore()} {...props} />
+    );
+
+    test('an edit the parent rejects is not carried into the next one', () => {
+      const onChange = jest.fn();
+      renderControlled({ onChange });
+
+      fireEvent.change(document.getElementById('interval'), { target: { value: '3' } });
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange.mock.calls[0][0]).toMatchObject({ interval: 3 });
+      expect(document.getElementById('interval').value).toBe('1');
+
+      fireEvent.click(screen.getByRole('checkbox', { name: 'Monday' }));
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(onChange.mock.calls[1][0]).toMatchObject({ interval: 1, daysOfWeek: ['Tuesday', 'Thursday', 'Monday'] });
+    });
+
+    test('edits the parent takes build on each other and undo steps back through them', () => {
+      const onChange = jest.fn();
+      const Parent = () => {
+        const [rule, setRule] = useState(WEEKLY_RULE);
+        return (
+          <RecurringDatePicker
+            value={rule}
+            onChange={(next) => { onChange(next); setRule(next); }}
+            locale="en-US"
+            presetStore={createMemoryPresetStore()}
+          />
+        );
+      };
+      render(<Parent />);
+
+      fireEvent.change(document.getElementById('interval'), { target: { value: '3' } });
+      fireEvent.click(screen.getByRole('checkbox', { name: 'Monday' }));
+      expect(onChange.mock.calls[1][0]).toMatchObject({ interval: 3, daysOfWeek: ['Tuesday', 'Thursday', 'Monday'] });
+
+      fireEvent.click(screen.getByRole('button', { name: /Undo/ }));
+      expect(onChange).toHaveBeenCalledTimes(3);
+      expect(onChange.mock.calls[2][0]).toMatchObject({ interval: 3, daysOfWeek: ['Tuesday', 'Thursday'] });
+      expect(document.getElementById('interval').value).toBe('3');
+    });
+  });
+});
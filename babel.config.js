@@ -0,0 +1,7 @@
+// Used by Jest to run the ES module and JSX sources
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    '@babel/preset-react',
+  ],
+};
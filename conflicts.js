@@ -0,0 +1,81 @@
+// --- Conflict Detection ---
+// Finds the occurrences of a rule that overlap events already on the calendar.
+//
+// An existing event is { title, start, end }. `start` and `end` are either YYYY-MM-DD
+// dates, for an all-day event (`end` is the last day, inclusive), or date-times as Date
+// objects or ISO strings (`end` exclusive; strings without an offset are local time).
+// `end` defaults to `start`. All-day events and all-day occurrences cover their dates
+// from midnight to midnight in the rule's timezone. Events that can't be read are left
+// out of the check rather than failing it; findInvalidEvents lists them.
+
+import {
+  createOccurrenceIterator,
+  zonedDateTime,
+  addDays,
+  localTimeZone,
+} from './recurrence';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60 * 1000;
+
+// Midnight at the start of a calendar date in a timezone, in milliseconds
+const startOfDay = (dateString, timeZone) => zonedDateTime(dateString, '00:00', timeZone).getTime();
+
+// An existing event as a [start, end) span of milliseconds
+const toSpan = (event, timeZone) => {
+  if (!event || typeof event !== 'object') throw new Error('An event must be an object with a start');
+  const { start, end = start } = event;
+  if (typeof start === 'string' && DATE_PATTERN.test(start)) {
+    if (typeof end !== 'string' || !DATE_PATTERN.test(end)) {
+      throw new Error(`Event "${event.title}" mixes a date with a date-time`);
+    }
+    return { start: startOfDay(start, timeZone), end: startOfDay(addDays(end, 1), timeZone) };
+  }
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+  if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+    throw new Error(`Event "${event.title}" has an invalid start or end`);
+  }
+  // An event without a length still blocks the minute it starts in
+  return { start: startTime, end: Math.max(endTime, startTime + MINUTE_MS) };
+};
+
+// Occurrences of `rule` that overlap `events`, in date order, as the occurrence's times
+// (see getOccurrenceTimes) plus the `events` it overlaps. Only the span covered by the
+// events is searched, so open-ended rules are fine.
+export const findConflicts = (rule, events = []) => {
+  if (events.length === 0) return [];
+  const timeZone = rule.timeZone || localTimeZone();
+  const spans = events.flatMap(event => {
+    try {
+      return [{ event, ...toSpan(event, timeZone) }];
+    } catch (error) {
+      return [];
+    }
+  });
+  if (spans.length === 0) return [];
+
+  // Occurrences can only overlap between the earliest start and the latest end; a day
+  // of slack either side covers the difference between UTC and the rule's timezone
+  const first = new Date(Math.min(...spans.map(span => span.start))).toISOString().slice(0, 10);
+  const last = new Date(Math.max(...spans.map(span => span.end))).toISOString().slice(0, 10);
+
+  const conflicts = [];
+  for (const occurrence of createOccurrenceIterator(rule).eventsBetween(addDays(first, -1), addDays(last, 1))) {
+    const start = occurrence.allDay ? startOfDay(occurrence.date, timeZone) : occurrence.start.getTime();
+    const end = occurrence.allDay ? startOfDay(addDays(occurrence.date, 1), timeZone) : occurrence.end.getTime();
+    const overlapping = spans.filter(span => span.start < end && start < span.end).map(span => span.event);
+    if (overlapping.length > 0) conflicts.push({ ...occurrence, events: overlapping });
+  }
+  return conflicts;
+};
+
+// Events findConflicts leaves out because they can't be read, as { event, message }
+export const findInvalidEvents = (events = []) => events.flatMap(event => {
+  try {
+    toSpan(event, 'UTC');
+    return [];
+  } catch (error) {
+    return [{ event, message: error.message }];
+  }
+});
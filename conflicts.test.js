@@ -0,0 +1,91 @@
+import { findConflicts, findInvalidEvents } from './conflicts';
+
+const DAILY_RULE = {
+  recurrenceType: 'daily',
+  interval: 1,
+  startDate: '2025-03-01',
+  endDate: '2025-03-10',
+  allDay: true,
+  timeZone: 'Europe/Madrid', // UTC+1 until Mar 30
+  excludedDates: [],
+  extraDates: [],
+};
+
+const TIMED_RULE = { ...DAILY_RULE, allDay: false, startTime: '09:00', duration: 60 };
+
+const conflictDates = (rule, events) => findConflicts(rule, events).map(conflict => conflict.date);
+
+describe('findConflicts', () => {
+  test('finds nothing without events', () => {
+    expect(findConflicts(DAILY_RULE, [])).toEqual([]);
+  });
+
+  test('all-day events cover their last day', () => {
+    expect(conflictDates(DAILY_RULE, [{ title: 'Trip', start: '2025-03-03', end: '2025-03-04' }])).toEqual(['2025-03-03', '2025-03-04']);
+    expect(conflictDates(DAILY_RULE, [{ title: 'Holiday', start: '2025-03-09' }])).toEqual(['2025-03-09']);
+  });
+
+  test('lists each occurrence with its times and the events it overlaps', () => {
+    const standup = { title: 'Standup', start: '2025-03-05T08:30:00Z', end: '2025-03-05T08:45:00Z' };
+    const review = { title: 'Review', start: '2025-03-05T08:40:00Z', end: '2025-03-05T09:30:00Z' };
+    expect(findConflicts(TIMED_RULE, [standup, review])).toEqual([{
+      date: '2025-03-05',
+      allDay: false,
+      start: new Date('2025-03-05T08:00:00Z'),
+      end: new Date('2025-03-05T09:00:00Z'),
+      events: [standup, review],
+    }]);
+  });
+
+  test('timed events end exclusively, so back-to-back times don\'t conflict', () => {
+    // The 09:00 Madrid occurrence runs from 08:00 to 09:00 UTC
+    expect(conflictDates(TIMED_RULE, [{ title: 'After', start: '2025-03-05T09:00:00Z', end: '2025-03-05T10:00:00Z' }])).toEqual([]);
+    expect(conflictDates(TIMED_RULE, [{ title: 'Before', start: '2025-03-05T07:00:00Z', end: '2025-03-05T08:00:00Z' }])).toEqual([]);
+    expect(conflictDates(TIMED_RULE, [{ title: 'Overlap', start: '2025-03-05T08:59:00Z', end: '2025-03-05T10:00:00Z' }])).toEqual(['2025-03-05']);
+  });
+
+  test('an event without a length blocks the minute it starts in', () => {
+    expect(conflictDates(TIMED_RULE, [{ title: 'Reminder', start: '2025-03-05T08:00:00Z' }])).toEqual(['2025-03-05']);
+    expect(conflictDates(TIMED_RULE, [{ title: 'Reminder', start: '2025-03-05T09:00:00Z' }])).toEqual([]);
+  });
+
+  test('all-day occurrences cover their dates in the rule\'s timezone', () => {
+    // 23:30 UTC on Mar 5 is 00:30 on Mar 6 in Madrid
+    const lateEvent = [{ title: 'Late call', start: '2025-03-05T23:30:00Z', end: '2025-03-05T23:45:00Z' }];
+    expect(conflictDates(DAILY_RULE, lateEvent)).toEqual(['2025-03-06']);
+    expect(conflictDates({ ...DAILY_RULE, timeZone: 'UTC' }, lateEvent)).toEqual(['2025-03-05']);
+  });
+
+  test('a timed occurrence running past midnight overlaps the next day\'s all-day event', () => {
+    const lateRule = { ...TIMED_RULE, startTime: '23:30' };
+    expect(conflictDates(lateRule, [{ title: 'Offsite', start: '2025-03-05' }])).toEqual(['2025-03-04', '2025-03-05']);
+  });
+
+  test('only searches the span the events cover, so open-ended rules work', () => {
+    const openEnded = { ...DAILY_RULE, endDate: '' };
+    expect(conflictDates(openEnded, [{ title: 'Next year', start: '2030-06-01' }])).toEqual(['2030-06-01']);
+  });
+
+  test('leaves out events it can\'t read', () => {
+    const events = [
+      { title: 'Broken', start: 'not a date' },
+      { title: 'Mixed', start: '2025-03-03', end: '2025-03-04T10:00:00Z' },
+      null,
+      { title: 'Good', start: '2025-03-07' },
+    ];
+    expect(conflictDates(DAILY_RULE, events)).toEqual(['2025-03-07']);
+    expect(conflictDates(DAILY_RULE, events.slice(0, 3))).toEqual([]);
+  });
+});
+
+describe('findInvalidEvents', () => {
+  test('lists the events findConflicts leaves out, with the reason', () => {
+    const broken = { title: 'Broken', start: 'not a date' };
+    const mixed = { title: 'Mixed', start: '2025-03-03', end: '2025-03-04T10:00:00Z' };
+    expect(findInvalidEvents([broken, { title: 'Good', start: '2025-03-07' }, mixed, null])).toEqual([
+      { event: broken, message: 'Event "Broken" has an invalid start or end' },
+      { event: mixed, message: 'Event "Mixed" mixes a date with a date-time' },
+      { event: null, message: 'An event must be an object with a start' },
+    ]);
+  });
+});
@@ -0,0 +1,158 @@
+// --- Occurrence Export ---
+// Builds downloadable documents for a rule and its occurrences: an iCalendar file with
+// a recurring VEVENT (or one VEVENT per occurrence), a CSV of the dates and a JSON
+// document of the rule plus its dates. Everything here returns strings; saving them is
+// left to the caller.
+//
+// A timed recurring event names its IANA timezone in TZID and the file defines it in a
+// VTIMEZONE (RFC 5545 section 3.6.5); expanded events use UTC times and need none.
+
+import {
+  DAY_NAMES,
+  parseDate,
+  getOccurrenceTimes,
+  getTimeZoneOffset,
+  getTimeZoneTransitions,
+  localTimeZone,
+} from './recurrence';
+import { toRRule, toICalDate, toICalTimestamp, toICalDuration } from './rrule';
+
+const PRODUCT_ID = '-//Recurring Date Picker//EN';
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (text) => text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+
+// Fold a content line to at most 75 octets per line (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > 75) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+};
+
+// A UTC offset in milliseconds as +HHMM or -HHMM
+const toUtcOffset = (offset) => {
+  const minutes = Math.abs(offset) / 60000;
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+// VTIMEZONE for a timezone from the year before a series starts. A zone with DST gets
+// a STANDARD and a DAYLIGHT observance, each repeating on the weekday of its month it
+// fell on that year (e.g. the last Sunday of March); any other zone gets the fixed
+// offset it has on the start date.
+const toTimeZoneComponent = (timeZone, startDate) => {
+  const transitions = getTimeZoneTransitions(parseDate(startDate).getUTCFullYear() - 1, timeZone);
+
+  const observances = transitions.length === 2
+    ? transitions.map(({ instant, offsetFrom, offsetTo }) => {
+      const onset = new Date(instant.getTime() + offsetFrom); // Wall-clock time before the change
+      const day = onset.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(onset.getUTCFullYear(), onset.getUTCMonth() + 1, 0)).getUTCDate();
+      const position = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+      const dayCode = DAY_NAMES[onset.getUTCDay()].slice(0, 2).toUpperCase();
+      const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+      return [
+        `BEGIN:${kind}`,
+        `DTSTART:${toICalTimestamp(onset).replace(/Z$/, '')}`,
+        `TZOFFSETFROM:${toUtcOffset(offsetFrom)}`,
+        `TZOFFSETTO:${toUtcOffset(offsetTo)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${onset.getUTCMonth() + 1};BYDAY=${position}${dayCode}`,
+        `END:${kind}`,
+      ];
+    })
+    : [[
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      ...['TZOFFSETFROM', 'TZOFFSETTO'].map(name => `${name}:${toUtcOffset(getTimeZoneOffset(parseDate(startDate).getTime(), timeZone))}`),
+      'END:STANDARD',
+    ]];
+
+  return ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observances.flat(), 'END:VTIMEZONE'];
+};
+
+const createUid = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}@recurring-date-picker`;
+
+// Wrap component lines in a VCALENDAR with CRLF line endings
+const toCalendar = (components) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  ...components.flat(),
+  'END:VCALENDAR',
+].map(foldLine).join('\r\n') + '\r\n';
+
+// iCalendar document for a rule. By default a single VEVENT carries the RRULE,
+// EXDATE and RDATE; with `expand` it holds one VEVENT per date in `occurrences`,
+// for consumers that don't support recurrence. Options:
+//   summary     - event title
+//   occurrences - YYYY-MM-DD dates, required with `expand`
+//   uid, now    - UID and DTSTAMP, generated when not given
+export const toICalendar = (rule, { expand = false, occurrences = [], summary = 'Recurring event', uid = createUid(), now = new Date() } = {}) => {
+  const header = [`DTSTAMP:${toICalTimestamp(now)}`, `SUMMARY:${escapeText(summary)}`];
+
+  if (expand) {
+    if (occurrences.length === 0) throw new Error('There are no occurrences to export');
+    return toCalendar(occurrences.map((date, index) => {
+      const { allDay, start, end } = getOccurrenceTimes(rule, date);
+      return [
+        'BEGIN:VEVENT',
+        `UID:${index}-${uid}`,
+        ...header,
+        ...(allDay
+          ? [`DTSTART;VALUE=DATE:${toICalDate(date)}`]
+          : [`DTSTART:${toICalTimestamp(start)}`, `DTEND:${toICalTimestamp(end)}`]),
+        'END:VEVENT',
+      ];
+    }));
+  }
+
+  const timed = rule.allDay === false && rule.startDate;
+  return toCalendar([
+    ...(timed ? [toTimeZoneComponent(rule.timeZone || localTimeZone(), rule.startDate)] : []),
+    [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      ...header,
+      ...toRRule(rule).split('\n'),
+      ...(rule.allDay === false ? [`DURATION:${toICalDuration(rule.duration)}`] : []),
+      'END:VEVENT',
+    ],
+  ]);
+};
+
+// CSV with one row per occurrence: its date, weekday and, for timed rules, its start
+// and end as ISO 8601 UTC times
+export const toCSV = (rule, occurrences) => [
+  'date,weekday,start,end',
+  ...occurrences.map(date => {
+    const { allDay, start, end } = getOccurrenceTimes(rule, date);
+    const times = allDay ? ',' : `${start.toISOString()},${end.toISOString()}`;
+    return `${date},${DAY_NAMES[parseDate(date).getUTCDay()]},${times}`;
+  }),
+].join('\r\n') + '\r\n';
+
+// JSON document with the rule, its RRULE (when it has one) and the occurrences with
+// their times (see getOccurrenceTimes)
+export const toJSON = (rule, occurrences) => {
+  let rrule = null;
+  try {
+    rrule = toRRule(rule);
+  } catch (error) {
+    // Some rules can't be written as an RRULE; the rule and dates still describe them
+  }
+  return JSON.stringify({ rule, rrule, occurrences: occurrences.map(date => getOccurrenceTimes(rule, date)) }, null, 2);
+};
@@ -0,0 +1,156 @@
+import { toICalendar, toCSV, toJSON } from './export';
+import { parseRRule } from './rrule';
+import { generateOccurrences } from './recurrence';
+
+const NOW = new Date(Date.UTC(2025, 0, 1, 12));
+
+const WEEKLY_RULE = {
+  recurrenceType: 'weekly',
+  interval: 2,
+  daysOfWeek: ['Monday', 'Wednesday'],
+  weekStart: 'Monday',
+  startDate: '2025-01-06',
+  endDate: '2025-06-30',
+  count: null,
+  allDay: true,
+  excludedDates: ['2025-01-08', '2025-02-17', '2025-03-03', '2025-03-05', '2025-03-17', '2025-04-14'],
+  extraDates: ['2025-01-11', '2025-05-24'],
+};
+
+// Timed, in a zone that changes to summer time during the series
+const TIMED_RULE = {
+  recurrenceType: 'monthly',
+  interval: 1,
+  monthlyPattern: { mode: 'weekday', weeks: ['last'], days: ['Friday'], combineDays: false, monthDays: [1] },
+  startDate: '2025-01-31',
+  count: 6,
+  allDay: false,
+  startTime: '09:30',
+  duration: 90,
+  timeZone: 'Europe/Madrid',
+  excludedDates: ['2025-04-25'],
+  extraDates: [],
+};
+
+// The VEVENT's properties by name, with folded lines joined
+const eventProperties = (ics) => {
+  const lines = ics.replace(/\r\n[ \t]/g, '').split('\r\n');
+  const event = lines.slice(lines.indexOf('BEGIN:VEVENT') + 1, lines.indexOf('END:VEVENT'));
+  return Object.fromEntries(event.map(line => [line.split(/[:;]/)[0], line]));
+};
+
+// The lines of the VTIMEZONE, if any
+const timeZoneLines = (ics) => {
+  const lines = ics.split('\r\n');
+  return lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+};
+
+describe('toICalendar', () => {
+  test.each([['all-day', WEEKLY_RULE], ['timed', TIMED_RULE]])('the %s VEVENT\'s lines parse back to the same dates', (kind, rule) => {
+    const ics = toICalendar(rule, { uid: 'test', now: NOW });
+    const { DTSTART, RRULE, EXDATE, RDATE = '' } = eventProperties(ics);
+    const parsed = { ...rule, ...parseRRule([DTSTART, RRULE, EXDATE, RDATE].join('\n')) };
+    expect(generateOccurrences(parsed)).toEqual(generateOccurrences(rule));
+  });
+
+  test('defines a timed event\'s TZID with its DST rules', () => {
+    expect(timeZoneLines(toICalendar(TIMED_RULE, { uid: 'test', now: NOW }))).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/Madrid',
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20240331T020000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0200',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20241027T030000',
+      'TZOFFSETFROM:+0200',
+      'TZOFFSETTO:+0100',
+      'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ]);
+    expect(timeZoneLines(toICalendar({ ...TIMED_RULE, timeZone: 'America/New_York' }, { uid: 'test', now: NOW })))
+      .toEqual(expect.arrayContaining(['RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU', 'TZOFFSETTO:-0500']));
+  });
+
+  test('defines a zone without DST by its fixed offset, and all-day events need no zone', () => {
+    expect(timeZoneLines(toICalendar({ ...TIMED_RULE, timeZone: 'Asia/Kolkata' }, { uid: 'test', now: NOW }))).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:Asia/Kolkata',
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0530',
+      'TZOFFSETTO:+0530',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ]);
+    expect(toICalendar(WEEKLY_RULE, { uid: 'test', now: NOW })).not.toContain('VTIMEZONE');
+  });
+
+  test('folds lines at 75 octets with CRLF endings', () => {
+    const ics = toICalendar(WEEKLY_RULE, { summary: 'Fortnightly planning meeting for the platform and infrastructure teams', uid: 'test', now: NOW });
+    const lines = ics.split('\r\n');
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+  });
+
+  test('a whole exported file can be imported again', () => {
+    const timed = parseRRule(toICalendar(TIMED_RULE, { uid: 'test', now: NOW }));
+    expect(timed).toMatchObject({ startTime: '09:30', duration: 90, timeZone: 'Europe/Madrid', allDay: false });
+    expect(generateOccurrences({ ...TIMED_RULE, ...timed })).toEqual(generateOccurrences(TIMED_RULE));
+    const allDay = parseRRule(toICalendar(WEEKLY_RULE, { uid: 'test', now: NOW }));
+    expect(generateOccurrences({ ...WEEKLY_RULE, ...allDay })).toEqual(generateOccurrences(WEEKLY_RULE));
+  });
+
+  test('a file with one VEVENT per date is not imported as a rule', () => {
+    const occurrences = generateOccurrences(TIMED_RULE);
+    expect(() => parseRRule(toICalendar(TIMED_RULE, { expand: true, occurrences, uid: 'test', now: NOW })))
+      .toThrow('Only a calendar with a single VEVENT can be imported');
+  });
+
+  test('expanding writes one VEVENT per date with UTC times', () => {
+    const ics = toICalendar(TIMED_RULE, { expand: true, occurrences: ['2025-01-31', '2025-03-28', '2025-05-30'], uid: 'test', now: NOW });
+    const lines = ics.split('\r\n');
+    expect(lines.filter(line => line.startsWith('DTSTART'))).toEqual(['DTSTART:20250131T083000Z', 'DTSTART:20250328T083000Z', 'DTSTART:20250530T073000Z']);
+    expect(lines.filter(line => line.startsWith('DTEND'))).toEqual(['DTEND:20250131T100000Z', 'DTEND:20250328T100000Z', 'DTEND:20250530T090000Z']);
+    expect(ics).not.toMatch(/RRULE/);
+  });
+});
+
+describe('toCSV', () => {
+  test('writes a row per date with its weekday', () => {
+    expect(toCSV(WEEKLY_RULE, ['2025-01-06', '2025-01-11'])).toBe(
+      'date,weekday,start,end\r\n2025-01-06,Monday,,\r\n2025-01-11,Saturday,,\r\n'
+    );
+  });
+
+  test('writes UTC start and end times for timed rules', () => {
+    expect(toCSV(TIMED_RULE, ['2025-01-31', '2025-05-30']).split('\r\n')).toEqual([
+      'date,weekday,start,end',
+      '2025-01-31,Friday,2025-01-31T08:30:00.000Z,2025-01-31T10:00:00.000Z',
+      '2025-05-30,Friday,2025-05-30T07:30:00.000Z,2025-05-30T09:00:00.000Z',
+      '',
+    ]);
+  });
+});
+
+describe('toJSON', () => {
+  test('holds the rule, its RRULE and the occurrence times', () => {
+    const document = JSON.parse(toJSON(TIMED_RULE, ['2025-01-31']));
+    expect(document.rule).toEqual(TIMED_RULE);
+    expect(parseRRule(document.rrule)).toMatchObject({ recurrenceType: 'monthly', count: 6, timeZone: 'Europe/Madrid' });
+    expect(document.occurrences).toEqual([
+      { date: '2025-01-31', allDay: false, start: '2025-01-31T08:30:00.000Z', end: '2025-01-31T10:00:00.000Z' },
+    ]);
+  });
+
+  test('leaves the RRULE out when the rule has none', () => {
+    const moved = { ...WEEKLY_RULE, nonWorkingDayPolicy: 'next' };
+    const document = JSON.parse(toJSON(moved, ['2025-01-06']));
+    expect(document.rrule).toBeNull();
+    expect(document.occurrences).toEqual([{ date: '2025-01-06', allDay: true }]);
+  });
+});
@@ -0,0 +1,254 @@
+// --- Localization ---
+// Locale-aware names and rule summaries. Weekday, month and date names come from Intl,
+// so any locale the browser supports gets them; the phrasing used by describeRule is
+// translated for the locales in MESSAGES and falls back to English otherwise.
+
+import {
+  DAY_NAMES,
+  WEEK_ORDINALS,
+  makeDate,
+  parseDate,
+  normalizeMonthlyPattern,
+  DEFAULT_YEARLY_PATTERN,
+  getOccurrenceTimes,
+  localTimeZone,
+  isValidTimeZone,
+} from './recurrence';
+
+export const DEFAULT_LOCALE = 'en';
+
+// English ordinal number: 1st, 2nd, 3rd, 4th, ...
+const englishOrdinal = (number) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${number}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(number)]}`;
+};
+
+// Phrases keyed by language. Plural forms follow Intl.PluralRules categories.
+const MESSAGES = {
+  en: {
+    recurrenceTypes: { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' },
+    every: 'Every',
+    units: {
+      daily: { one: 'day', other: 'days' },
+      weekly: { one: 'week', other: 'weeks' },
+      monthly: { one: 'month', other: 'months' },
+      yearly: { one: 'year', other: 'years' },
+    },
+    ordinals: { first: 'first', second: 'second', third: 'third', fourth: 'fourth', last: 'last' },
+    everyWeekday: 'Every weekday',
+    weekdaysOnly: 'on weekdays',
+    nonWorkingDays: {
+      skip: 'skipping weekends and holidays',
+      previous: 'moved to the previous working day on weekends and holidays',
+      next: 'moved to the next working day on weekends and holidays',
+    },
+    on: (items) => `on ${items}`,
+    weekday: (day) => day,
+    nthWeekday: (ordinals, days) => `the ${ordinals} ${days}`,
+    monthDay: (day) => englishOrdinal(day),
+    lastMonthDay: (offset) => (offset === 1 ? 'last day' : `${englishOrdinal(offset)} to last day`),
+    monthDays: (days) => `the ${days}`,
+    date: (date) => date,
+    ofMonths: (pattern, months) => `${pattern} of ${months}`,
+    leapDay: { skip: 'only in leap years', other: (date) => `${date} in other years` },
+    starting: (date) => `starting ${date}`,
+    until: (date) => `until ${date}`,
+    times: { one: () => 'once', other: (n) => `${n} times` },
+    excluding: { one: () => 'excluding 1 date', other: (n) => `excluding ${n} dates` },
+    extra: { one: () => 'plus 1 extra date', other: (n) => `plus ${n} extra dates` },
+  },
+  es: {
+    recurrenceTypes: { daily: 'Diaria', weekly: 'Semanal', monthly: 'Mensual', yearly: 'Anual' },
+    every: 'Cada',
+    units: {
+      daily: { one: 'día', other: 'días' },
+      weekly: { one: 'semana', other: 'semanas' },
+      monthly: { one: 'mes', other: 'meses' },
+      yearly: { one: 'año', other: 'años' },
+    },
+    ordinals: { first: 'primer', second: 'segundo', third: 'tercer', fourth: 'cuarto', last: 'último' },
+    everyWeekday: 'Cada día laborable',
+    weekdaysOnly: 'en días laborables',
+    nonWorkingDays: {
+      skip: 'omitiendo fines de semana y festivos',
+      previous: 'pasando al día laborable anterior en fines de semana y festivos',
+      next: 'pasando al día laborable siguiente en fines de semana y festivos',
+    },
+    on: (items) => items,
+    weekday: (day) => `el ${day}`,
+    nthWeekday: (ordinals, days) => `el ${ordinals} ${days}`,
+    monthDay: (day) => `día ${day}`,
+    lastMonthDay: (offset) => {
+      if (offset === 1) return 'último día';
+      if (offset === 2) return 'penúltimo día';
+      if (offset === 3) return 'antepenúltimo día';
+      return `día ${offset} contando desde el final`;
+    },
+    monthDays: (days) => `el ${days}`,
+    date: (date) => `el ${date}`,
+    ofMonths: (pattern, months) => `${pattern} de ${months}`,
+    leapDay: { skip: 'solo en años bisiestos', other: (date) => `${date} en los demás años` },
+    starting: (date) => `a partir del ${date}`,
+    until: (date) => `hasta el ${date}`,
+    times: { one: () => '1 vez', other: (n) => `${n} veces` },
+    excluding: { one: () => 'excepto 1 fecha', other: (n) => `excepto ${n} fechas` },
+    extra: { one: () => 'más 1 fecha adicional', other: (n) => `más ${n} fechas adicionales` },
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+const getMessages = (locale = DEFAULT_LOCALE) => MESSAGES[locale] || MESSAGES[locale.split('-')[0]] || MESSAGES[DEFAULT_LOCALE];
+
+// Pick the plural form of a { one, other } entry for a number
+const plural = (forms, number, locale) => {
+  const category = new Intl.PluralRules(locale).select(number);
+  return forms[category] || forms.other;
+};
+
+const formatList = (items, locale, type = 'conjunction') => new Intl.ListFormat(locale, { style: 'long', type }).format(items);
+
+// --- Intl Names ---
+
+// Localized name of a weekday given its English name from DAY_NAMES
+export const formatWeekday = (dayName, locale = DEFAULT_LOCALE, width = 'long') => (
+  new Intl.DateTimeFormat(locale, { weekday: width, timeZone: 'UTC' })
+    .format(makeDate(2023, 0, 1 + DAY_NAMES.indexOf(dayName))) // January 1st 2023 was a Sunday
+);
+
+// Localized name of a month (1-12)
+export const formatMonth = (month, locale = DEFAULT_LOCALE, width = 'long') => (
+  new Intl.DateTimeFormat(locale, { month: width, timeZone: 'UTC' }).format(makeDate(2023, month - 1, 1))
+);
+
+// Localized YYYY-MM-DD date, e.g. "Jan 5, 2025"
+export const formatDateString = (dateString, locale = DEFAULT_LOCALE, options = { month: 'short', day: 'numeric', year: 'numeric' }) => (
+  new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(parseDate(dateString))
+);
+
+// Localized month heading, e.g. "March 2025"
+export const formatMonthYear = (year, month, locale = DEFAULT_LOCALE) => (
+  new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(makeDate(year, month, 1))
+);
+
+// Localized span of months, e.g. "March – May 2025", starting at a zero-based month
+export const formatMonthRange = (year, month, months, locale = DEFAULT_LOCALE) => (
+  new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    .formatRange(makeDate(year, month, 1), makeDate(year, month + months - 1, 1))
+);
+
+// Localized time span of an event in a timezone, e.g. "9:00 – 10:30 AM EST"
+export const formatTimeRange = (start, end, locale = DEFAULT_LOCALE, timeZone = localTimeZone()) => (
+  new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone, timeZoneName: 'short' }).formatRange(start, end)
+);
+
+// Whether a timed rule's start time, duration and timezone can be formatted; while
+// they are being edited they may be blank or partial
+const hasValidTimes = ({ startTime, duration, timeZone }) => (
+  /^([01]\d|2[0-3]):[0-5]\d$/.test(startTime || '') && Number.isInteger(duration) && duration > 0 && (!timeZone || isValidTimeZone(timeZone))
+);
+
+// Localized week ordinal ('first' ... 'last')
+export const formatOrdinal = (week, locale = DEFAULT_LOCALE) => getMessages(locale).ordinals[week];
+
+// Name of a recurrence type ('daily' ... 'yearly'): "Daily"
+export const formatRecurrenceType = (recurrenceType, locale = DEFAULT_LOCALE) => getMessages(locale).recurrenceTypes[recurrenceType];
+
+// Interval unit for a recurrence type, pluralized for the interval: "day" / "days"
+export const formatIntervalUnit = (recurrenceType, interval, locale = DEFAULT_LOCALE) => (
+  plural(getMessages(locale).units[recurrenceType], interval, locale)
+);
+
+// "Every" in the given locale
+export const formatEvery = (locale = DEFAULT_LOCALE) => getMessages(locale).every;
+
+// --- Rule Summary ---
+
+// Describe the dates a monthly pattern picks within a month
+const describeMonthlyPattern = (pattern, messages, locale) => {
+  const { mode, weeks, days, combineDays, monthDays } = normalizeMonthlyPattern(pattern);
+
+  if (mode === 'dayOfMonth') {
+    const fromStart = monthDays.filter(day => day > 0).sort((a, b) => a - b);
+    const fromEnd = monthDays.filter(day => day < 0).sort((a, b) => b - a);
+    const dayLabels = [
+      ...fromStart.map(day => messages.monthDay(day)),
+      ...fromEnd.map(day => messages.lastMonthDay(-day)),
+    ];
+    return messages.monthDays(formatList(dayLabels, locale));
+  }
+
+  const ordinals = WEEK_ORDINALS.filter(week => weeks.includes(week)).map(week => messages.ordinals[week]);
+  const dayLabels = DAY_NAMES.filter(day => days.includes(day)).map(day => formatWeekday(day, locale));
+  return messages.nthWeekday(formatList(ordinals, locale), formatList(dayLabels, locale, combineDays ? 'disjunction' : 'conjunction'));
+};
+
+// Describe a rule in words, e.g. "Every 2 weeks on Monday and Wednesday, 9:00 – 10:00 AM
+// EST, starting Jan 5, 2025, 10 times". `locale` is any BCP 47 tag; phrasing falls back to English.
+export const describeRule = (rule, locale = DEFAULT_LOCALE) => {
+  const messages = getMessages(locale);
+  const {
+    recurrenceType,
+    interval = 1,
+    daysOfWeek = [],
+    monthlyPattern,
+    yearlyPattern,
+    startDate,
+    endDate,
+    count,
+    excludedDates = [],
+    extraDates = [],
+    weekdaysOnly = false,
+    nonWorkingDayPolicy = 'keep',
+  } = rule;
+
+  const unit = formatIntervalUnit(recurrenceType, interval, locale);
+  let summary = interval > 1 ? `${messages.every} ${interval} ${unit}` : `${messages.every} ${unit}`;
+
+  if (recurrenceType === 'daily' && weekdaysOnly) {
+    summary = interval > 1 ? `${summary} ${messages.weekdaysOnly}` : messages.everyWeekday;
+  }
+
+  if (recurrenceType === 'weekly') {
+    const selectedDays = daysOfWeek.length > 0 ? daysOfWeek : startDate ? [DAY_NAMES[parseDate(startDate).getUTCDay()]] : [];
+    const dayLabels = DAY_NAMES.filter(day => selectedDays.includes(day)).map(day => messages.weekday(formatWeekday(day, locale)));
+    if (dayLabels.length > 0) summary += ` ${messages.on(formatList(dayLabels, locale))}`;
+  }
+
+  if (recurrenceType === 'monthly') {
+    summary += ` ${messages.on(describeMonthlyPattern(monthlyPattern, messages, locale))}`;
+  }
+
+  if (recurrenceType === 'yearly') {
+    const { mode, months, leapDayPolicy, ...pattern } = { ...DEFAULT_YEARLY_PATTERN, ...yearlyPattern };
+    if (mode === 'date') {
+      if (startDate) {
+        summary += ` ${messages.on(messages.date(formatDateString(startDate, locale, { month: 'long', day: 'numeric' })))}`;
+        if (startDate.endsWith('-02-29')) {
+          const fallback = { feb28: '2023-02-28', mar1: '2023-03-01' }[leapDayPolicy];
+          summary += ` (${fallback
+            ? messages.leapDay.other(formatDateString(fallback, locale, { month: 'long', day: 'numeric' }))
+            : messages.leapDay.skip})`;
+        }
+      }
+    } else {
+      const selectedMonths = months.length > 0 ? months : startDate ? [parseDate(startDate).getUTCMonth() + 1] : [];
+      const monthLabels = [...selectedMonths].sort((a, b) => a - b).map(month => formatMonth(month, locale));
+      summary += ` ${messages.on(messages.ofMonths(describeMonthlyPattern({ ...pattern, mode }, messages, locale), formatList(monthLabels, locale)))}`;
+    }
+  }
+
+  const details = [];
+  if (rule.allDay === false && startDate && hasValidTimes(rule)) {
+    const { start, end } = getOccurrenceTimes(rule, startDate);
+    details.push(formatTimeRange(start, end, locale, rule.timeZone));
+  }
+  if (nonWorkingDayPolicy !== 'keep') details.push(messages.nonWorkingDays[nonWorkingDayPolicy]);
+  if (startDate) details.push(messages.starting(formatDateString(startDate, locale)));
+  if (endDate) details.push(messages.until(formatDateString(endDate, locale)));
+  if (count) details.push(plural(messages.times, count, locale)(count));
+  if (excludedDates.length > 0) details.push(plural(messages.excluding, excludedDates.length, locale)(excludedDates.length));
+  if (extraDates.length > 0) details.push(plural(messages.extra, extraDates.length, locale)(extraDates.length));
+
+  return [summary, ...details].join(', ');
+};
@@ -0,0 +1,122 @@
+import { describeRule, formatIntervalUnit, formatRecurrenceType } from './i18n';
+
+const TIMED_RULE = {
+  recurrenceType: 'weekly',
+  interval: 1,
+  daysOfWeek: ['Monday'],
+  weekStart: 'Monday',
+  startDate: '2025-01-06',
+  endDate: '',
+  count: null,
+  allDay: false,
+  startTime: '09:30',
+  duration: 90,
+  timeZone: 'UTC',
+  excludedDates: [],
+  extraDates: [],
+};
+
+describe('describeRule', () => {
+  test('includes the time range of a timed rule', () => {
+    // Intl puts thin spaces around the dash
+    expect(describeRule(TIMED_RULE, 'en-US')).toMatch(/^Every week on Monday, 9:30\s–\s11:00\sAM UTC, starting Jan 6, 2025$/);
+  });
+
+  test.each([
+    ['a cleared start time', { startTime: '' }],
+    ['a partly typed start time', { startTime: '09:' }],
+    ['a missing duration', { duration: NaN }],
+    ['an unknown timezone', { timeZone: 'Mars/Olympus_Mons' }],
+  ])('leaves the time range out for %s', (label, changes) => {
+    expect(describeRule({ ...TIMED_RULE, ...changes }, 'en-US')).toBe('Every week on Monday, starting Jan 6, 2025');
+  });
+});
+
+describe('describeRule in English and Spanish', () => {
+  const ALL_DAY_RULE = { ...TIMED_RULE, allDay: true, daysOfWeek: [] };
+
+  test.each([
+    [
+      'a daily rule',
+      { recurrenceType: 'daily' },
+      'Every day, starting Jan 6, 2025',
+      'Cada día, a partir del 6 ene 2025',
+    ],
+    [
+      'an interval above 1',
+      { recurrenceType: 'daily', interval: 2 },
+      'Every 2 days, starting Jan 6, 2025',
+      'Cada 2 días, a partir del 6 ene 2025',
+    ],
+    [
+      'weekdays and a count',
+      { recurrenceType: 'weekly', interval: 2, daysOfWeek: ['Monday', 'Wednesday'], count: 10 },
+      'Every 2 weeks on Monday and Wednesday, starting Jan 6, 2025, 10 times',
+      'Cada 2 semanas el lunes y el miércoles, a partir del 6 ene 2025, 10 veces',
+    ],
+    [
+      'singular counts and exceptions',
+      { recurrenceType: 'weekly', daysOfWeek: ['Friday'], count: 1, excludedDates: ['2025-01-10'], extraDates: ['2025-01-11', '2025-01-12'] },
+      'Every week on Friday, starting Jan 6, 2025, once, excluding 1 date, plus 2 extra dates',
+      'Cada semana el viernes, a partir del 6 ene 2025, 1 vez, excepto 1 fecha, más 2 fechas adicionales',
+    ],
+    [
+      'nth weekdays and an end date',
+      {
+        recurrenceType: 'monthly',
+        monthlyPattern: { mode: 'weekday', weeks: ['second', 'last'], days: ['Tuesday'], combineDays: false, monthDays: [1] },
+        endDate: '2025-12-31',
+      },
+      'Every month on the second and last Tuesday, starting Jan 6, 2025, until Dec 31, 2025',
+      'Cada mes el segundo y último martes, a partir del 6 ene 2025, hasta el 31 dic 2025',
+    ],
+    [
+      'days counted from the end of the month',
+      { recurrenceType: 'monthly', monthlyPattern: { mode: 'dayOfMonth', weeks: [], days: [], combineDays: false, monthDays: [1, -1, -2] } },
+      'Every month on the 1st, last day, and 2nd to last day, starting Jan 6, 2025',
+      'Cada mes el día 1, último día y penúltimo día, a partir del 6 ene 2025',
+    ],
+    [
+      'a Feb 29 start moved in common years',
+      { recurrenceType: 'yearly', startDate: '2024-02-29', yearlyPattern: { mode: 'date', months: [], leapDayPolicy: 'mar1' } },
+      'Every year on February 29 (March 1 in other years), starting Feb 29, 2024',
+      'Cada año el 29 de febrero (1 de marzo en los demás años), a partir del 29 feb 2024',
+    ],
+    [
+      'a yearly nth weekday',
+      {
+        recurrenceType: 'yearly',
+        yearlyPattern: { mode: 'weekday', months: [11], weeks: ['fourth'], days: ['Thursday'], combineDays: false, monthDays: [1] },
+      },
+      'Every year on the fourth Thursday of November, starting Jan 6, 2025',
+      'Cada año el cuarto jueves de noviembre, a partir del 6 ene 2025',
+    ],
+    [
+      'every weekday',
+      { recurrenceType: 'daily', weekdaysOnly: true },
+      'Every weekday, starting Jan 6, 2025',
+      'Cada día laborable, a partir del 6 ene 2025',
+    ],
+  ])('%s', (label, changes, english, spanish) => {
+    const rule = { ...ALL_DAY_RULE, ...changes };
+    expect(describeRule(rule, 'en')).toBe(english);
+    expect(describeRule(rule, 'es')).toBe(spanish);
+  });
+
+  test('regional tags use their language and unknown languages fall back to English', () => {
+    const rule = { ...ALL_DAY_RULE, recurrenceType: 'daily', interval: 3 };
+    expect(describeRule(rule, 'es-MX')).toBe('Cada 3 días, a partir del 6 ene 2025');
+    expect(describeRule(rule, 'en-GB')).toBe('Every 3 days, starting 6 Jan 2025');
+  });
+});
+
+describe('labels', () => {
+  test.each([
+    ['en', 'Weekly', 'week', 'weeks'],
+    ['es', 'Semanal', 'semana', 'semanas'],
+  ])('%s recurrence type and plural interval unit', (locale, typeName, one, other) => {
+    expect(formatRecurrenceType('weekly', locale)).toBe(typeName);
+    expect(formatIntervalUnit('weekly', 1, locale)).toBe(one);
+    expect(formatIntervalUnit('weekly', 2, locale)).toBe(other);
+  });
+});
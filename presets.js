@@ -0,0 +1,122 @@
+// --- Rule Presets ---
+// Ready-made schedules and the user's saved rules. A preset is { id, name, rule }, where
+// `rule` holds the rule fields it sets, or is a function of the current rule returning
+// them. Built-in presets only set the pattern, so the start date, end condition and
+// times are kept; saved presets hold a whole rule.
+//
+// Saved presets are kept by a store, any object with load() returning the list and
+// save(presets) writing it. The picker uses localStorage unless given another store.
+
+import { parseDate, DEFAULT_MONTHLY_PATTERN, DEFAULT_YEARLY_PATTERN } from './recurrence';
+
+export const DEFAULT_PRESETS = [
+  {
+    id: 'weekdays',
+    name: 'Every weekday',
+    rule: { recurrenceType: 'daily', interval: 1, weekdaysOnly: true },
+  },
+  {
+    id: 'everyOtherFriday',
+    name: 'Every other Friday',
+    rule: { recurrenceType: 'weekly', interval: 2, daysOfWeek: ['Friday'] },
+  },
+  {
+    id: 'firstMondayMonthly',
+    name: 'First Monday of every month',
+    rule: {
+      recurrenceType: 'monthly',
+      interval: 1,
+      monthlyPattern: { ...DEFAULT_MONTHLY_PATTERN, mode: 'weekday', weeks: ['first'], days: ['Monday'] },
+    },
+  },
+  {
+    id: 'quarterly',
+    name: 'Quarterly, on the start date\'s day',
+    rule: (current) => ({
+      recurrenceType: 'monthly',
+      interval: 3,
+      monthlyPattern: { ...DEFAULT_MONTHLY_PATTERN, mode: 'dayOfMonth', monthDays: [parseDate(current.startDate).getUTCDate() || 1] },
+    }),
+  },
+  {
+    id: 'annually',
+    name: 'Annually, on the start date',
+    rule: { recurrenceType: 'yearly', interval: 1, yearlyPattern: DEFAULT_YEARLY_PATTERN },
+  },
+];
+
+// Pattern fields a preset resets before applying its own, so nothing is left over
+// from the previous pattern
+export const PRESET_PATTERN_DEFAULTS = {
+  recurrenceType: 'daily',
+  interval: 1,
+  daysOfWeek: [],
+  weekdaysOnly: false,
+  monthlyPattern: DEFAULT_MONTHLY_PATTERN,
+  yearlyPattern: DEFAULT_YEARLY_PATTERN,
+};
+
+// The rule changes applying a preset makes to the current rule
+export const resolvePreset = (preset, current) => ({
+  ...PRESET_PATTERN_DEFAULTS,
+  ...(typeof preset.rule === 'function' ? preset.rule(current) : preset.rule),
+});
+
+// --- Preset Stores ---
+
+export const PRESET_STORAGE_KEY = 'recurringDatePicker.presets';
+
+// Store backed by a Web Storage object (localStorage by default). Unreadable data loads
+// as an empty list; without storage (e.g. server rendering) nothing is kept.
+export const createStoragePresetStore = (key = PRESET_STORAGE_KEY, getStorage = () => globalThis.localStorage) => ({
+  load: () => {
+    const storage = getStorage();
+    if (!storage) return [];
+    try {
+      const presets = JSON.parse(storage.getItem(key) || '[]');
+      return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+      return [];
+    }
+  },
+  save: (presets) => {
+    const storage = getStorage();
+    if (storage) storage.setItem(key, JSON.stringify(presets));
+  },
+});
+
+// Store that keeps presets in memory only, e.g. for tests
+export const createMemoryPresetStore = (initial = []) => {
+  let presets = initial;
+  return {
+    load: () => presets,
+    save: (next) => {
+      presets = next;
+    },
+  };
+};
+
+// --- Saved Preset Lists ---
+// Each returns a new list; they throw an Error with a message for the user when the
+// name is empty or taken.
+
+const checkName = (presets, name, id) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('Enter a name for the preset.');
+  if (presets.some(preset => preset.id !== id && preset.name === trimmed)) {
+    throw new Error(`A preset named "${trimmed}" already exists.`);
+  }
+  return trimmed;
+};
+
+export const addSavedPreset = (presets, name, rule) => [
+  ...presets,
+  { id: `saved-${Date.now().toString(36)}-${presets.length}`, name: checkName(presets, name), rule },
+];
+
+export const renameSavedPreset = (presets, id, name) => {
+  const trimmed = checkName(presets, name, id);
+  return presets.map(preset => (preset.id === id ? { ...preset, name: trimmed } : preset));
+};
+
+export const deleteSavedPreset = (presets, id) => presets.filter(preset => preset.id !== id);
@@ -0,0 +1,117 @@
+import {
+  DEFAULT_PRESETS,
+  PRESET_PATTERN_DEFAULTS,
+  resolvePreset,
+  createStoragePresetStore,
+  createMemoryPresetStore,
+  addSavedPreset,
+  renameSavedPreset,
+  deleteSavedPreset,
+} from './presets';
+
+const preset = (id) => DEFAULT_PRESETS.find(item => item.id === id);
+
+// Web Storage stand-in
+const createStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+};
+
+describe('resolvePreset', () => {
+  test('resets the pattern fields before applying the preset', () => {
+    const current = { recurrenceType: 'weekly', interval: 3, daysOfWeek: ['Monday'], weekdaysOnly: true, startDate: '2025-03-04' };
+    expect(resolvePreset(preset('everyOtherFriday'), current)).toEqual({
+      ...PRESET_PATTERN_DEFAULTS,
+      recurrenceType: 'weekly',
+      interval: 2,
+      daysOfWeek: ['Friday'],
+    });
+  });
+
+  test('leaves the start date, end condition and times alone', () => {
+    const changes = resolvePreset(preset('weekdays'), { startDate: '2025-03-04', endType: 'count', count: 5 });
+    expect(changes).toMatchObject({ recurrenceType: 'daily', interval: 1, weekdaysOnly: true });
+    ['startDate', 'endType', 'endDate', 'count', 'allDay', 'startTime', 'timeZone'].forEach(field => {
+      expect(changes).not.toHaveProperty(field);
+    });
+  });
+
+  test('the quarterly preset repeats on the start date\'s day of the month', () => {
+    expect(resolvePreset(preset('quarterly'), { startDate: '2025-01-31' })).toMatchObject({
+      recurrenceType: 'monthly',
+      interval: 3,
+      monthlyPattern: { mode: 'dayOfMonth', monthDays: [31] },
+    });
+    expect(resolvePreset(preset('quarterly'), { startDate: '' }).monthlyPattern.monthDays).toEqual([1]);
+  });
+});
+
+describe('saved preset lists', () => {
+  const rule = { recurrenceType: 'daily', interval: 2 };
+
+  test('addSavedPreset adds a preset with a trimmed name and a new id', () => {
+    const first = addSavedPreset([], '  Standup  ', rule);
+    const second = addSavedPreset(first, 'Retro', rule);
+    expect(second.map(({ name, rule: saved }) => [name, saved])).toEqual([['Standup', rule], ['Retro', rule]]);
+    expect(second[0].id).not.toBe(second[1].id);
+  });
+
+  test.each(['', '   '])('rejects the empty name %p', (name) => {
+    expect(() => addSavedPreset([], name, rule)).toThrow('Enter a name for the preset.');
+  });
+
+  test('rejects a name that is taken', () => {
+    const presets = addSavedPreset([], 'Standup', rule);
+    expect(() => addSavedPreset(presets, ' Standup ', rule)).toThrow('A preset named "Standup" already exists.');
+  });
+
+  test('renameSavedPreset renames one preset, allowing its own name', () => {
+    const presets = addSavedPreset(addSavedPreset([], 'Standup', rule), 'Retro', rule);
+    const [standup, retro] = presets;
+    expect(renameSavedPreset(presets, standup.id, 'Daily standup').map(item => item.name)).toEqual(['Daily standup', 'Retro']);
+    expect(renameSavedPreset(presets, standup.id, 'Standup')).toEqual(presets);
+    expect(() => renameSavedPreset(presets, standup.id, 'Retro')).toThrow('A preset named "Retro" already exists.');
+    expect(() => renameSavedPreset(presets, retro.id, ' ')).toThrow('Enter a name for the preset.');
+  });
+
+  test('deleteSavedPreset removes one preset without changing the list', () => {
+    const presets = addSavedPreset(addSavedPreset([], 'Standup', rule), 'Retro', rule);
+    expect(deleteSavedPreset(presets, presets[0].id).map(item => item.name)).toEqual(['Retro']);
+    expect(presets).toHaveLength(2);
+  });
+});
+
+describe('createStoragePresetStore', () => {
+  test('round-trips presets through storage', () => {
+    const storage = createStorage();
+    const presets = addSavedPreset([], 'Standup', { recurrenceType: 'daily' });
+    createStoragePresetStore('presets', () => storage).save(presets);
+    expect(createStoragePresetStore('presets', () => storage).load()).toEqual(presets);
+  });
+
+  test.each([
+    ['nothing stored', {}],
+    ['corrupt JSON', { presets: '[{"name":' }],
+    ['JSON that is not a list', { presets: '{"name":"Standup"}' }],
+  ])('loads an empty list from %s', (label, entries) => {
+    expect(createStoragePresetStore('presets', () => createStorage(entries)).load()).toEqual([]);
+  });
+
+  test('keeps nothing without storage', () => {
+    const store = createStoragePresetStore('presets', () => undefined);
+    expect(() => store.save([{ id: 'a', name: 'A', rule: {} }])).not.toThrow();
+    expect(store.load()).toEqual([]);
+  });
+});
+
+describe('createMemoryPresetStore', () => {
+  test('keeps the last saved list', () => {
+    const store = createMemoryPresetStore([{ id: 'a', name: 'A', rule: {} }]);
+    expect(store.load()).toHaveLength(1);
+    store.save([]);
+    expect(store.load()).toEqual([]);
+  });
+});
@@ -0,0 +1,580 @@
+// --- Recurrence Engine ---
+// Pure date generation for recurrence rules. It has no React dependency, so the
+// same rules can be expanded from the picker, a Node script or a unit test.
+//
+// A rule is a plain object with the same fields RecurrenceContext holds:
+// { recurrenceType, interval, daysOfWeek, weekStart, monthlyPattern, yearlyPattern, startDate, endDate, count }
+// where `count` (RRULE COUNT) ends the series after that many generated dates.
+// Weekly rules run in calendar weeks beginning on `weekStart` (RRULE WKST, 'Monday' or
+// 'Sunday'), so with an interval above 1 every other week is counted from the week that
+// contains the start date, and no date before the start date is produced.
+// Optional `excludedDates` (EXDATE) and `extraDates` (RDATE) list YYYY-MM-DD dates to
+// remove from or add to the series; an exclusion wins over an extra date.
+// Timed rules also carry allDay, startTime, duration and timeZone (see Times of Day).
+// `weekdaysOnly`, `nonWorkingDayPolicy` and `holidays` deal with working days (see
+// Working Days).
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const WEEK_ORDINALS = ['first', 'second', 'third', 'fourth', 'last'];
+
+// Day names in calendar order for a week beginning on weekStart
+export const getOrderedDayNames = (weekStart = 'Monday') => {
+  const offset = DAY_NAMES.indexOf(weekStart);
+  return DAY_NAMES.map((_, i) => DAY_NAMES[(i + offset) % 7]);
+};
+
+// --- Calendar Date Helpers ---
+// Calendar dates are held as Date objects at UTC midnight and only read or stepped
+// through the UTC getters and setters, so the user's timezone and DST changes can
+// never shift an occurrence onto a neighbouring day.
+
+// Parse a YYYY-MM-DD string into a calendar date
+export const parseDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Format a calendar date as YYYY-MM-DD
+export const formatDate = (date) => date.toISOString().split('T')[0];
+
+// Build a calendar date from a year, zero-based month and day (overflow rolls over like new Date())
+export const makeDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+// Move a YYYY-MM-DD date by a number of days
+export const addDays = (dateString, days) => {
+  const date = parseDate(dateString);
+  return formatDate(makeDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+};
+
+// Today's date in the user's local timezone, as YYYY-MM-DD
+export const todayString = (now = new Date()) => formatDate(makeDate(now.getFullYear(), now.getMonth(), now.getDate()));
+
+// --- Monthly Patterns ---
+// A monthly pattern picks dates within a single month, in one of two modes:
+//   { mode: 'dayOfMonth', monthDays: [1, 15, -1] }
+//     Days of the month; negative values count back from the end (-1 is the last day).
+//     Days past the end of a short month are clamped to its last day (31 -> Feb 28).
+//   { mode: 'weekday', weeks: ['second', 'fourth'], days: ['Tuesday'], combineDays: false }
+//     Each ordinal of each selected weekday ("second and fourth Tuesday"). With
+//     combineDays the ordinals apply to the selected days as one set, so
+//     weeks ['last'] with Monday to Friday means "the last weekday of the month".
+
+export const DEFAULT_MONTHLY_PATTERN = {
+  mode: 'weekday',
+  weeks: ['first'],
+  days: ['Monday'],
+  combineDays: false,
+  monthDays: [1],
+};
+
+// Fill in defaults, also accepting the original single { week, day } shape
+export const normalizeMonthlyPattern = (pattern = {}) => {
+  const { week, day, ...rest } = pattern;
+  return {
+    ...DEFAULT_MONTHLY_PATTERN,
+    ...(week ? { weeks: [week] } : {}),
+    ...(day ? { days: [day] } : {}),
+    ...rest,
+  };
+};
+
+// Convert between week ordinals and 1-based positions: first..fourth -> 1..4, last -> -1
+export const ordinalToPosition = (week) => (week === 'last' ? -1 : WEEK_ORDINALS.indexOf(week) + 1);
+export const positionToOrdinal = (position) => {
+  if (position === -1) return 'last';
+  return position >= 1 && position <= 4 ? WEEK_ORDINALS[position - 1] : undefined;
+};
+
+// Pick items by 1-based positions, where negative positions count from the end
+const pickPositions = (items, positions) => positions
+  .map(position => (position > 0 ? items[position - 1] : items[items.length + position]))
+  .filter(Boolean);
+
+// Sort calendar dates and drop duplicates
+const uniqueSortedDates = (dates) => Array.from(new Set(dates.map(date => date.getTime())))
+  .sort((a, b) => a - b)
+  .map(time => new Date(time));
+
+// All dates in a month (zero-based) that match a monthly pattern, in order
+export const getMonthlyDates = (year, month, pattern) => {
+  const { mode, weeks, days, combineDays, monthDays } = normalizeMonthlyPattern(pattern);
+  const totalDays = makeDate(year, month + 1, 0).getUTCDate();
+
+  if (mode === 'dayOfMonth') {
+    return uniqueSortedDates(monthDays.map(day => makeDate(
+      year,
+      month,
+      day > 0 ? Math.min(day, totalDays) : Math.max(totalDays + day + 1, 1),
+    )));
+  }
+
+  // Every date in the month falling on one of the given weekdays
+  const matchingDates = (dayNames) => {
+    const matches = [];
+    for (let day = 1; day <= totalDays; day++) {
+      const checkDate = makeDate(year, month, day);
+      if (dayNames.includes(DAY_NAMES[checkDate.getUTCDay()])) matches.push(checkDate);
+    }
+    return matches;
+  };
+
+  const positions = weeks.map(ordinalToPosition);
+  return uniqueSortedDates(combineDays
+    ? pickPositions(matchingDates(days), positions)
+    : days.flatMap(day => pickPositions(matchingDates([day]), positions)));
+};
+
+// A pattern with nothing selected can never produce a date
+const isEmptyPattern = ({ mode, weeks, days, monthDays }) => {
+  if (mode === 'dayOfMonth') return monthDays.length === 0;
+  if (mode === 'weekday') return weeks.length === 0 || days.length === 0;
+  return false;
+};
+
+// --- Yearly Patterns ---
+// A yearly pattern either repeats the start date's month and day ({ mode: 'date' }) or
+// applies a monthly pattern (mode 'dayOfMonth' or 'weekday', see above) to each of the
+// selected `months` (1-12), e.g. { mode: 'weekday', months: [11], weeks: ['fourth'],
+// days: ['Thursday'] } for Thanksgiving. With no months selected the start date's month
+// is used, as RRULE does without BYMONTH.
+//
+// `leapDayPolicy` decides where a Feb 29 start date lands in common years in 'date' mode:
+// 'skip' the year (the RRULE behaviour), 'feb28' or 'mar1'.
+
+export const LEAP_DAY_POLICIES = ['skip', 'feb28', 'mar1'];
+
+export const DEFAULT_YEARLY_PATTERN = {
+  ...DEFAULT_MONTHLY_PATTERN,
+  mode: 'date',
+  months: [],
+  leapDayPolicy: 'skip',
+};
+
+export const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+export const isLeapDay = (date) => date.getUTCMonth() === 1 && date.getUTCDate() === 29;
+
+// All dates in a year that match a yearly pattern, in order
+export const getYearlyDates = (year, pattern, start) => {
+  const { mode, months, leapDayPolicy, ...monthlyPattern } = { ...DEFAULT_YEARLY_PATTERN, ...pattern };
+
+  if (mode === 'date') {
+    if (!isLeapDay(start) || isLeapYear(year)) return [makeDate(year, start.getUTCMonth(), start.getUTCDate())];
+    if (leapDayPolicy === 'feb28') return [makeDate(year, 1, 28)];
+    if (leapDayPolicy === 'mar1') return [makeDate(year, 2, 1)];
+    return [];
+  }
+
+  const selectedMonths = months.length > 0 ? [...months].sort((a, b) => a - b) : [start.getUTCMonth() + 1];
+  return selectedMonths.flatMap(month => getMonthlyDates(year, month - 1, { ...monthlyPattern, mode }));
+};
+
+// --- Working Days ---
+// Weekends (Saturday and Sunday) and the dates of a holiday calendar are non-working
+// days. The calendar is the rule's `holidays`: a list of YYYY-MM-DD dates, or a
+// function returning the list for a given year, called at most once per year.
+//
+// A daily rule with `weekdaysOnly` skips weekends ("every weekday"). Pattern dates that
+// fall on a non-working day follow the rule's `nonWorkingDayPolicy`: 'keep' them,
+// 'skip' them, or move them to the 'previous' or 'next' working day. Extra dates are
+// never moved, and excluded dates apply to the moved dates. A `count` counts the dates
+// left after the policy, so skipped dates and dates merged with another don't use it up.
+
+export const NON_WORKING_DAY_POLICIES = ['keep', 'skip', 'previous', 'next'];
+
+// Longest run of non-working days a date is moved across; past that it is skipped
+const MAX_SHIFT_DAYS = 31;
+// Pattern dates skipped in a row before a series is taken to have no working days left,
+// so a rule whose dates are all holidays ends instead of searching forever
+const MAX_SKIPPED_DATES = 1000;
+
+export const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+// Build a (YYYY-MM-DD) => boolean lookup for a holiday calendar
+export const createHolidayLookup = (holidays = []) => {
+  if (typeof holidays === 'function') {
+    const years = new Map();
+    return (dateString) => {
+      const year = Number(dateString.slice(0, 4));
+      if (!years.has(year)) years.set(year, new Set(holidays(year)));
+      return years.get(year).has(dateString);
+    };
+  }
+  const dates = new Set(holidays);
+  return (dateString) => dates.has(dateString);
+};
+
+export const isWorkingDay = (dateString, isHoliday) => !isWeekend(parseDate(dateString)) && !isHoliday(dateString);
+
+// The nearest working day before (step -1) or after (step 1) a date, or null
+const findWorkingDay = (dateString, step, isHoliday) => {
+  for (let days = 1; days <= MAX_SHIFT_DAYS; days++) {
+    const candidate = addDays(dateString, step * days);
+    if (isWorkingDay(candidate, isHoliday)) return candidate;
+  }
+  return null;
+};
+
+// --- Occurrence Iteration ---
+// Occurrences are produced lazily and in date order, so open-ended rules have no
+// upper bound and callers only pay for the dates they actually look at.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from one calendar date to another
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+// Lazily yield the YYYY-MM-DD dates a rule's pattern produces, in order, honouring its
+// start date, end date and count. Exceptions are not applied here. When `from` is given
+// and the rule has no count, whole intervals before `from` are skipped without being
+// generated; dates before `from` may still be yielded from the interval containing it.
+function* iterateRuleDates(rule, from) {
+  const {
+    recurrenceType,
+    interval = 1,
+    daysOfWeek = [],
+    weekStart = 'Monday',
+    monthlyPattern = DEFAULT_MONTHLY_PATTERN,
+    yearlyPattern = DEFAULT_YEARLY_PATTERN,
+    startDate,
+    endDate,
+    count,
+    weekdaysOnly = false,
+  } = rule;
+
+  // An invalid interval (e.g. a draft being edited) would never advance, or walk backwards
+  if (!startDate || !Number.isInteger(interval) || interval < 1) return;
+  if (recurrenceType === 'monthly' && isEmptyPattern(normalizeMonthlyPattern(monthlyPattern))) return;
+  if (recurrenceType === 'yearly' && isEmptyPattern({ ...DEFAULT_YEARLY_PATTERN, ...yearlyPattern })) return;
+
+  const start = parseDate(startDate);
+  const end = endDate ? parseDate(endDate) : null;
+  let currentDate = new Date(start);
+
+  // Weekly rules step through whole weeks: begin at the start of the start date's week
+  // and fall back to the start date's weekday when no days are selected
+  const weeklyDays = daysOfWeek.length > 0 ? daysOfWeek.map(day => DAY_NAMES.indexOf(day)) : [start.getUTCDay()];
+  if (recurrenceType === 'weekly') {
+    currentDate.setUTCDate(currentDate.getUTCDate() - ((start.getUTCDay() - DAY_NAMES.indexOf(weekStart) + 7) % 7));
+  }
+
+  // Skip whole intervals before `from`. A count needs every earlier date, so it can't skip.
+  if (from && !count && from > startDate) {
+    const target = parseDate(from);
+    const skipUnits = (units) => Math.floor(units / interval) * interval;
+    switch (recurrenceType) {
+      case 'daily':
+        currentDate.setUTCDate(currentDate.getUTCDate() + skipUnits(daysBetween(currentDate, target)));
+        break;
+      case 'weekly':
+        currentDate.setUTCDate(currentDate.getUTCDate() + skipUnits(Math.floor(daysBetween(currentDate, target) / 7)) * 7);
+        break;
+      case 'monthly': {
+        const months = (target.getUTCFullYear() - currentDate.getUTCFullYear()) * 12 + target.getUTCMonth() - currentDate.getUTCMonth();
+        currentDate.setUTCDate(1);
+        currentDate.setUTCMonth(currentDate.getUTCMonth() + skipUnits(months));
+        break;
+      }
+      case 'yearly':
+        currentDate = makeDate(currentDate.getUTCFullYear() + skipUnits(target.getUTCFullYear() - currentDate.getUTCFullYear()), 0, 1);
+        break;
+      default:
+        break;
+    }
+  }
+
+  let generatedCount = 0;
+  // Weekend dates skipped in a row by weekdaysOnly; a daily rule stepping by whole weeks
+  // from a weekend never reaches a weekday, so it ends like a rule with no working days
+  let skippedWeekends = 0;
+
+  // Loop to generate dates based on recurrence type, one interval at a time
+  while (!end || currentDate <= end) {
+    let stepDates;
+
+    switch (recurrenceType) {
+      case 'daily':
+        stepDates = [new Date(currentDate)];
+        currentDate.setUTCDate(currentDate.getUTCDate() + interval);
+        break;
+
+      case 'weekly': {
+        // Walk the calendar week starting at currentDate, keeping each selected weekday
+        stepDates = [];
+        for (let i = 0; i < 7; i++) {
+          const dayDate = new Date(currentDate);
+          dayDate.setUTCDate(currentDate.getUTCDate() + i);
+          if (weeklyDays.includes(dayDate.getUTCDay())) stepDates.push(dayDate);
+        }
+
+        // Move to the start of the next week based on interval
+        currentDate.setUTCDate(currentDate.getUTCDate() + (interval * 7));
+        break;
+      }
+
+      case 'monthly':
+        stepDates = getMonthlyDates(currentDate.getUTCFullYear(), currentDate.getUTCMonth(), monthlyPattern);
+
+        // Move to the next month based on interval
+        currentDate.setUTCDate(1); // Reset day to 1 to avoid issues with months having fewer days
+        currentDate.setUTCMonth(currentDate.getUTCMonth() + interval);
+        break;
+
+      case 'yearly': {
+        const year = currentDate.getUTCFullYear();
+        stepDates = getYearlyDates(year, yearlyPattern, start);
+
+        // Move to January 1st of the next year based on interval
+        currentDate = makeDate(year + interval, 0, 1);
+        break;
+      }
+
+      default:
+        return;
+    }
+
+    for (const date of stepDates) {
+      if (date < start) continue;
+      if (end && date > end) return;
+      if (weekdaysOnly && recurrenceType === 'daily' && isWeekend(date)) {
+        if (++skippedWeekends >= MAX_SKIPPED_DATES) return;
+        continue;
+      }
+      skippedWeekends = 0;
+      yield formatDate(date);
+      generatedCount++;
+      if (count && generatedCount >= count) return;
+    }
+  }
+}
+
+// Yield a rule's pattern dates with its nonWorkingDayPolicy applied, as
+// { date, originalDate } in date order. Dates moved onto the same day are merged.
+function* iterateWorkingDates(rule, from) {
+  const { nonWorkingDayPolicy = 'keep', count } = rule;
+  if (nonWorkingDayPolicy === 'keep') {
+    for (const date of iterateRuleDates(rule, from)) yield { date, originalDate: date };
+    return;
+  }
+  if (!count) {
+    yield* moveNonWorkingDates(rule, from);
+    return;
+  }
+
+  // The count applies after the policy: walk the pattern without it, from the start
+  // since every earlier date is needed, and stop once enough dates are through
+  let yielded = 0;
+  for (const item of moveNonWorkingDates({ ...rule, count: null })) {
+    yield item;
+    if (++yielded >= count) return;
+  }
+}
+
+// iterateWorkingDates for the 'skip', 'previous' and 'next' policies, without a count
+function* moveNonWorkingDates(rule, from) {
+  const { nonWorkingDayPolicy, holidays } = rule;
+  const isHoliday = createHolidayLookup(holidays);
+  const step = nonWorkingDayPolicy === 'previous' ? -1 : 1;
+  // Dates moved forwards from before `from` can land after it
+  const searchFrom = from && nonWorkingDayPolicy === 'next' ? addDays(from, -MAX_SHIFT_DAYS) : from;
+  // Moved dates wait, sorted, until no later pattern date can be moved in front of them
+  const pending = [];
+  let skippedDates = 0;
+
+  for (const originalDate of iterateRuleDates(rule, searchFrom)) {
+    const settledBefore = nonWorkingDayPolicy === 'previous' ? addDays(originalDate, -MAX_SHIFT_DAYS) : originalDate;
+    while (pending.length > 0 && pending[0].date < settledBefore) yield pending.shift();
+
+    const date = isWorkingDay(originalDate, isHoliday)
+      ? originalDate
+      : nonWorkingDayPolicy === 'skip' ? null : findWorkingDay(originalDate, step, isHoliday);
+    if (!date) {
+      if (++skippedDates >= MAX_SKIPPED_DATES) break;
+      continue;
+    }
+    skippedDates = 0;
+    if (pending.some(item => item.date === date)) continue;
+    const index = pending.findIndex(item => item.date > date);
+    pending.splice(index === -1 ? pending.length : index, 0, { date, originalDate });
+  }
+  yield* pending;
+}
+
+// Yield a rule's occurrences in order with exceptions applied: excluded dates are
+// dropped (they still count towards `count`, as EXDATE does in RFC 5545) and extra
+// dates are merged in regardless of the rule's end. An exclusion wins over an extra date.
+function* iterateOccurrences(rule, from) {
+  const excluded = new Set(rule.excludedDates || []);
+  const extras = Array.from(new Set(rule.extraDates || []))
+    .filter(date => !excluded.has(date) && (!from || date >= from))
+    .sort();
+  let extraIndex = 0;
+
+  for (const { date } of iterateWorkingDates(rule, from)) {
+    while (extraIndex < extras.length && extras[extraIndex] < date) yield extras[extraIndex++];
+    if (extras[extraIndex] === date) extraIndex++;
+    if (!excluded.has(date)) yield date;
+  }
+  while (extraIndex < extras.length) yield extras[extraIndex++];
+}
+
+// Create a lazy iterator over a rule's occurrences (YYYY-MM-DD strings).
+//   next()            - the next occurrence, paging through the series from its start
+//   between(from, to) - all occurrences from `from` to `to` inclusive
+//   after(date)       - the first occurrence strictly after `date`, or null
+//   eventsBetween(from, to) - between(), with each date's times (see getOccurrenceTimes)
+//   movedBetween(from, to)  - occurrences moved off a non-working day, as { date, originalDate }
+// between() and after() are independent of the next() cursor. The iterator is also
+// iterable, so `for...of` works, as long as the loop breaks on open-ended rules.
+export const createOccurrenceIterator = (rule) => {
+  const cursor = iterateOccurrences(rule);
+
+  const between = (from, to) => {
+    const dates = [];
+    for (const date of iterateOccurrences(rule, from)) {
+      if (date > to) break;
+      if (date >= from) dates.push(date);
+    }
+    return dates;
+  };
+
+  const movedBetween = (from, to) => {
+    const excluded = new Set(rule.excludedDates || []);
+    const moved = [];
+    for (const item of iterateWorkingDates(rule, from)) {
+      if (item.date > to) break;
+      if (item.date >= from && item.date !== item.originalDate && !excluded.has(item.date)) moved.push(item);
+    }
+    return moved;
+  };
+
+  const after = (afterDate) => {
+    for (const date of iterateOccurrences(rule, afterDate)) {
+      if (date > afterDate) return date;
+    }
+    return null;
+  };
+
+  return {
+    next: () => cursor.next(),
+    between,
+    after,
+    eventsBetween: (from, to) => between(from, to).map(date => getOccurrenceTimes(rule, date)),
+    movedBetween,
+    [Symbol.iterator]() { return this; },
+  };
+};
+
+// Generate the occurrences of a rule as a sorted array of YYYY-MM-DD strings.
+// Options:
+//   from  - only return occurrences on or after this YYYY-MM-DD date
+//   to    - only return occurrences on or before this YYYY-MM-DD date
+//   limit - maximum number of occurrences to return
+// Open-ended rules (no end date or count) need `to` or `limit`.
+export const generateOccurrences = (rule, { from, to, limit } = {}) => {
+  if (!to && !limit && !rule.endDate && !rule.count) {
+    throw new Error('generateOccurrences needs a `to` date or a `limit` for rules without an end date or count');
+  }
+
+  const dates = [];
+  for (const date of iterateOccurrences(rule, from)) {
+    if ((to && date > to) || (limit && dates.length >= limit)) break;
+    if (!from || date >= from) dates.push(date);
+  }
+  return dates;
+};
+
+// --- Times of Day ---
+// Dates stay timezone-free calendar dates. A timed rule ({ allDay: false }) also has a
+// `startTime` ('HH:MM' wall-clock time), a `duration` in minutes and an IANA `timeZone`;
+// each occurrence then starts at that wall-clock time in that zone, so it keeps its local
+// time across DST changes while its UTC time shifts. The duration is elapsed time, as
+// DURATION is in RFC 5545, so an event spanning a DST change ends an hour off its usual
+// local end time.
+
+// The user's timezone, e.g. 'Europe/Madrid'
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Whether Intl knows an IANA timezone name
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const offsetFormatters = new Map();
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+export const getTimeZoneOffset = (instant, timeZone) => {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  const parts = offsetFormatters.get(timeZone).formatToParts(new Date(instant));
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - Math.floor(instant / 1000) * 1000;
+};
+
+// Changes of a timezone's offset during a year, such as DST starting and ending, as
+// { instant, offsetFrom, offsetTo } with the offsets in milliseconds
+export const getTimeZoneTransitions = (year, timeZone) => {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  for (let day = Date.UTC(year, 0, 1); day < end; day += DAY_MS) {
+    const offsetFrom = getTimeZoneOffset(day, timeZone);
+    const offsetTo = getTimeZoneOffset(day + DAY_MS, timeZone);
+    if (offsetFrom === offsetTo) continue;
+
+    // Narrow the change down to the minute
+    let before = day;
+    let after = day + DAY_MS;
+    while (after - before > MINUTE_MS) {
+      const middle = before + Math.floor((after - before) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getTimeZoneOffset(middle, timeZone) === offsetFrom) before = middle;
+      else after = middle;
+    }
+    transitions.push({ instant: new Date(after), offsetFrom, offsetTo });
+  }
+  return transitions;
+};
+
+// The instant a wall-clock time occurs on a calendar date in a timezone. A time that
+// occurs twice (clocks going back) resolves to the first; a time skipped by clocks going
+// forward uses the offset from before the change, so 02:30 becomes 03:30 (RFC 5545).
+export const zonedDateTime = (dateString, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = parseDate(dateString).getTime() + (hours * 60 + minutes) * 60 * 1000;
+  const offsetBefore = getTimeZoneOffset(wallClock - DAY_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallClock + DAY_MS, timeZone);
+  const matches = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter(instant => getTimeZoneOffset(instant, timeZone) === wallClock - instant);
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore);
+};
+
+// The calendar date (YYYY-MM-DD) of an instant in a timezone
+export const dateInTimeZone = (instant, timeZone) => (
+  formatDate(new Date(instant.getTime() + getTimeZoneOffset(instant.getTime(), timeZone)))
+);
+
+// Start and end of an occurrence: { date, allDay: true } for all-day rules, otherwise
+// { date, allDay: false, start, end } with Date instants
+export const getOccurrenceTimes = (rule, date) => {
+  const { allDay = true, startTime = '09:00', duration = 60, timeZone = localTimeZone() } = rule;
+  if (allDay) return { date, allDay: true };
+  const start = zonedDateTime(date, startTime, timeZone);
+  return { date, allDay: false, start, end: new Date(start.getTime() + duration * 60 * 1000) };
+};
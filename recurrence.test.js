@@ -0,0 +1,275 @@
+import {
+  generateOccurrences,
+  createOccurrenceIterator,
+  getMonthlyDates,
+  getYearlyDates,
+  formatDate,
+  addDays,
+  parseDate,
+  DAY_NAMES,
+  DEFAULT_MONTHLY_PATTERN,
+} from './recurrence';
+
+const rule = (fields) => ({ excludedDates: [], extraDates: [], ...fields });
+
+describe('generateOccurrences', () => {
+  test('daily rules step by the interval', () => {
+    expect(generateOccurrences(rule({ recurrenceType: 'daily', interval: 3, startDate: '2025-01-30', endDate: '2025-02-10' })))
+      .toEqual(['2025-01-30', '2025-02-02', '2025-02-05', '2025-02-08']);
+  });
+
+  test('weekly rules keep the selected days and skip weeks by the interval', () => {
+    expect(generateOccurrences(rule({
+      recurrenceType: 'weekly',
+      interval: 2,
+      daysOfWeek: ['Monday', 'Wednesday'],
+      startDate: '2025-03-05', // A Wednesday
+      count: 5,
+    }))).toEqual(['2025-03-05', '2025-03-17', '2025-03-19', '2025-03-31', '2025-04-02']);
+  });
+
+  test('weekly rules without days repeat on the start date\'s weekday', () => {
+    expect(generateOccurrences(rule({ recurrenceType: 'weekly', daysOfWeek: [], startDate: '2025-03-06', count: 3 })))
+      .toEqual(['2025-03-06', '2025-03-13', '2025-03-20']);
+  });
+
+  test('monthly nth weekday patterns', () => {
+    const secondTuesday = { ...DEFAULT_MONTHLY_PATTERN, mode: 'weekday', weeks: ['second'], days: ['Tuesday'] };
+    expect(generateOccurrences(rule({ recurrenceType: 'monthly', monthlyPattern: secondTuesday, startDate: '2025-01-01', count: 3 })))
+      .toEqual(['2025-01-14', '2025-02-11', '2025-03-11']);
+  });
+
+  test('monthly "last weekday" counts the days together', () => {
+    const lastWeekday = {
+      mode: 'weekday',
+      weeks: ['last'],
+      days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+      combineDays: true,
+      monthDays: [1],
+    };
+    expect(generateOccurrences(rule({ recurrenceType: 'monthly', monthlyPattern: lastWeekday, startDate: '2025-05-01', count: 3 })))
+      .toEqual(['2025-05-30', '2025-06-30', '2025-07-31']);
+  });
+
+  test('monthly days of the month clamp day 31 in short months', () => {
+    const pattern = { ...DEFAULT_MONTHLY_PATTERN, mode: 'dayOfMonth', monthDays: [1, 31] };
+    expect(generateOccurrences(rule({ recurrenceType: 'monthly', monthlyPattern: pattern, startDate: '2025-01-15', endDate: '2025-04-01' })))
+      .toEqual(['2025-01-31', '2025-02-01', '2025-02-28', '2025-03-01', '2025-03-31', '2025-04-01']);
+  });
+
+  test('yearly rules repeat the start date', () => {
+    expect(generateOccurrences(rule({ recurrenceType: 'yearly', interval: 2, startDate: '2024-07-04', count: 3 })))
+      .toEqual(['2024-07-04', '2026-07-04', '2028-07-04']);
+  });
+
+  test('a start date equal to the end date gives one date', () => {
+    expect(generateOccurrences(rule({ recurrenceType: 'daily', startDate: '2025-06-01', endDate: '2025-06-01' })))
+      .toEqual(['2025-06-01']);
+  });
+
+  test('exclusions drop dates but still count, extra dates are merged in', () => {
+    expect(generateOccurrences(rule({
+      recurrenceType: 'daily',
+      startDate: '2025-01-01',
+      count: 4,
+      excludedDates: ['2025-01-02'],
+      extraDates: ['2025-01-10', '2024-12-31'],
+    }))).toEqual(['2024-12-31', '2025-01-01', '2025-01-03', '2025-01-04', '2025-01-10']);
+  });
+
+  test('from, to and limit narrow the result', () => {
+    const daily = rule({ recurrenceType: 'daily', interval: 2, startDate: '2025-01-01' });
+    expect(generateOccurrences(daily, { from: '2025-03-01', to: '2025-03-08' }))
+      .toEqual(['2025-03-02', '2025-03-04', '2025-03-06', '2025-03-08']);
+    expect(generateOccurrences(daily, { from: '2025-03-01', limit: 2 })).toEqual(['2025-03-02', '2025-03-04']);
+  });
+
+  test('weekdays-only daily rules skip weekends', () => {
+    expect(generateOccurrences(rule({ recurrenceType: 'daily', weekdaysOnly: true, startDate: '2025-01-03', count: 3 })))
+      .toEqual(['2025-01-03', '2025-01-06', '2025-01-07']);
+  });
+
+  test('a weekdays-only rule stepping whole weeks from a weekend ends with no dates', () => {
+    const weekends = rule({ recurrenceType: 'daily', interval: 7, weekdaysOnly: true, startDate: '2025-01-04' });
+    expect(generateOccurrences(weekends, { limit: 5 })).toEqual([]);
+    expect(createOccurrenceIterator(weekends).next().done).toBe(true);
+    expect(createOccurrenceIterator(weekends).between('2025-01-01', '2025-12-31')).toEqual([]);
+  });
+
+  test.each([0, -1, 1.5, NaN])('an interval of %p gives no dates', (interval) => {
+    const invalid = rule({ recurrenceType: 'daily', interval, startDate: '2025-03-04' });
+    expect(generateOccurrences(invalid, { limit: 5 })).toEqual([]);
+    expect(createOccurrenceIterator(invalid).between('2025-03-01', '2025-03-31')).toEqual([]);
+  });
+
+  test('open-ended rules need `to` or `limit`', () => {
+    expect(() => generateOccurrences(rule({ recurrenceType: 'daily', startDate: '2025-01-01' }))).toThrow(/`to` date or a `limit`/);
+  });
+});
+
+describe('non-working day policies', () => {
+  // 2025-01-03 is a Friday
+  const daily = rule({ recurrenceType: 'daily', startDate: '2025-01-03', count: 5, holidays: ['2025-01-07'] });
+
+  test.each([
+    ['keep', ['2025-01-03', '2025-01-04', '2025-01-05', '2025-01-06', '2025-01-07']],
+    ['skip', ['2025-01-03', '2025-01-06', '2025-01-08', '2025-01-09', '2025-01-10']],
+    ['next', ['2025-01-03', '2025-01-06', '2025-01-08', '2025-01-09', '2025-01-10']],
+    ['previous', ['2025-01-03', '2025-01-06', '2025-01-08', '2025-01-09', '2025-01-10']],
+  ])('with "%s", count counts the dates left after the policy', (nonWorkingDayPolicy, expected) => {
+    expect(generateOccurrences({ ...daily, nonWorkingDayPolicy })).toEqual(expected);
+  });
+
+  test('excluded dates still use up the count', () => {
+    expect(generateOccurrences({ ...daily, nonWorkingDayPolicy: 'skip', excludedDates: ['2025-01-08'] }))
+      .toEqual(['2025-01-03', '2025-01-06', '2025-01-09', '2025-01-10']);
+  });
+
+  test('between() and after() see the same counted dates', () => {
+    const skipping = { ...daily, nonWorkingDayPolicy: 'skip' };
+    const iterator = createOccurrenceIterator(skipping);
+    expect(iterator.between('2025-01-08', '2025-01-31')).toEqual(['2025-01-08', '2025-01-09', '2025-01-10']);
+    expect(iterator.after('2025-01-09')).toBe('2025-01-10');
+    expect(iterator.after('2025-01-10')).toBeNull();
+  });
+
+  test('moved dates are listed with where they came from', () => {
+    const moving = rule({
+      recurrenceType: 'monthly',
+      monthlyPattern: { ...DEFAULT_MONTHLY_PATTERN, mode: 'dayOfMonth', monthDays: [1] },
+      startDate: '2025-01-01',
+      count: 4,
+      holidays: ['2025-01-01'],
+      nonWorkingDayPolicy: 'next',
+    });
+    expect(generateOccurrences(moving)).toEqual(['2025-01-02', '2025-02-03', '2025-03-03', '2025-04-01']);
+    expect(createOccurrenceIterator(moving).movedBetween('2025-01-01', '2025-12-31')).toEqual([
+      { date: '2025-01-02', originalDate: '2025-01-01' },
+      { date: '2025-02-03', originalDate: '2025-02-01' },
+      { date: '2025-03-03', originalDate: '2025-03-01' },
+    ]);
+  });
+});
+
+describe('createOccurrenceIterator', () => {
+  const weekly = rule({ recurrenceType: 'weekly', daysOfWeek: ['Friday'], startDate: '2025-01-01' });
+
+  test('next() pages through an open-ended series', () => {
+    const iterator = createOccurrenceIterator(weekly);
+    expect([iterator.next().value, iterator.next().value, iterator.next().value])
+      .toEqual(['2025-01-03', '2025-01-10', '2025-01-17']);
+  });
+
+  test('between() and after() do not move the next() cursor', () => {
+    const iterator = createOccurrenceIterator(weekly);
+    iterator.next();
+    expect(iterator.between('2030-01-01', '2030-01-31')).toEqual(['2030-01-04', '2030-01-11', '2030-01-18', '2030-01-25']);
+    expect(iterator.after('2030-01-04')).toBe('2030-01-11');
+    expect(iterator.next().value).toBe('2025-01-10');
+  });
+
+  test('after() returns null past the end of the series', () => {
+    expect(createOccurrenceIterator({ ...weekly, count: 2 }).after('2025-01-10')).toBeNull();
+  });
+
+  test('agrees with generateOccurrences', () => {
+    const monthly = rule({
+      recurrenceType: 'monthly',
+      interval: 2,
+      monthlyPattern: { ...DEFAULT_MONTHLY_PATTERN, mode: 'dayOfMonth', monthDays: [-1, 15] },
+      startDate: '2024-11-20',
+    });
+    const iterator = createOccurrenceIterator(monthly);
+    const paged = Array.from({ length: 12 }, () => iterator.next().value);
+    expect(paged).toEqual(generateOccurrences(monthly, { limit: 12 }));
+    expect(createOccurrenceIterator(monthly).between(paged[3], paged[8])).toEqual(paged.slice(3, 9));
+  });
+});
+
+describe('getMonthlyDates', () => {
+  test('last day counts from the end of the month', () => {
+    const pattern = { ...DEFAULT_MONTHLY_PATTERN, mode: 'dayOfMonth', monthDays: [-1, -2] };
+    expect(getMonthlyDates(2024, 1, pattern).map(formatDate)).toEqual(['2024-02-28', '2024-02-29']);
+  });
+});
+
+describe('yearly patterns', () => {
+  test.each([
+    ['skip', ['2024-02-29', '2028-02-29', '2032-02-29']],
+    ['feb28', ['2024-02-29', '2025-02-28', '2026-02-28']],
+    ['mar1', ['2024-02-29', '2025-03-01', '2026-03-01']],
+  ])('a Feb 29 start with the %s leap-day policy', (leapDayPolicy, dates) => {
+    expect(generateOccurrences(rule({
+      recurrenceType: 'yearly',
+      interval: 1,
+      yearlyPattern: { mode: 'date', leapDayPolicy },
+      startDate: '2024-02-29',
+      count: 3,
+    }))).toEqual(dates);
+  });
+
+  test('an nth weekday of a month, such as the fourth Thursday of November', () => {
+    expect(generateOccurrences(rule({
+      recurrenceType: 'yearly',
+      interval: 1,
+      yearlyPattern: { mode: 'weekday', weeks: ['fourth'], days: ['Thursday'], months: [11] },
+      startDate: '2024-01-01',
+      count: 3,
+    }))).toEqual(['2024-11-28', '2025-11-27', '2026-11-26']);
+  });
+
+  test('several months are visited in calendar order', () => {
+    expect(generateOccurrences(rule({
+      recurrenceType: 'yearly',
+      interval: 2,
+      yearlyPattern: { mode: 'dayOfMonth', monthDays: [15], months: [9, 3] },
+      startDate: '2025-04-01',
+      count: 4,
+    }))).toEqual(['2025-09-15', '2027-03-15', '2027-09-15', '2029-03-15']);
+  });
+
+  test('without months the start date\'s month is used', () => {
+    const pattern = { mode: 'weekday', weeks: ['last'], days: ['Monday'], months: [] };
+    expect(getYearlyDates(2025, pattern, parseDate('2024-05-10')).map(formatDate)).toEqual(['2025-05-26']);
+  });
+});
+
+describe('weekly interval alignment', () => {
+  // Day by day: a date is kept when its weekday is selected and it falls in a week
+  // that is a whole number of intervals after the week containing the start date
+  const bruteForceWeekly = ({ interval, daysOfWeek, weekStart, startDate }, to) => {
+    const start = parseDate(startDate);
+    const firstWeek = addDays(startDate, -((start.getUTCDay() - DAY_NAMES.indexOf(weekStart) + 7) % 7));
+    const dates = [];
+    for (let date = startDate; date <= to; date = addDays(date, 1)) {
+      const weeks = Math.floor((parseDate(date) - parseDate(firstWeek)) / (7 * 24 * 60 * 60 * 1000));
+      if (weeks % interval === 0 && daysOfWeek.includes(DAY_NAMES[parseDate(date).getUTCDay()])) dates.push(date);
+    }
+    return dates;
+  };
+
+  // Every non-empty set of weekdays
+  const daySets = Array.from({ length: 127 }, (_, mask) => DAY_NAMES.filter((day, index) => ((mask + 1) >> index) & 1));
+  // Two weeks of start dates, so each weekday starts a rule under both week starts
+  const startDates = Array.from({ length: 14 }, (_, index) => addDays('2025-06-01', index));
+
+  test.each(['Monday', 'Sunday'])('matches a day-by-day walk with weeks starting on %s', (weekStart) => {
+    const mismatches = [];
+    for (const startDate of startDates) {
+      for (const interval of [1, 2, 3]) {
+        for (const daysOfWeek of daySets) {
+          const weekly = rule({ recurrenceType: 'weekly', interval, daysOfWeek, weekStart, startDate });
+          const endDate = addDays(startDate, 60);
+          const from = addDays(startDate, 23);
+          const expected = bruteForceWeekly(weekly, endDate);
+          const generated = generateOccurrences({ ...weekly, endDate });
+          const skipped = createOccurrenceIterator(weekly).between(from, endDate);
+          if (generated.join() !== expected.join() || skipped.join() !== expected.filter(date => date >= from).join()) {
+            mismatches.push(`${startDate} every ${interval} weeks on ${daysOfWeek.join(',')}`);
+          }
+        }
+      }
+    }
+    expect(mismatches).toEqual([]);
+  });
+});
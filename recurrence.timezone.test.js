@@ -0,0 +1,74 @@
+// The engine works on UTC calendar dates, so the host timezone must not change the
+// dates it generates. Jest sandboxes process.env, so each zone runs the engine in a
+// child Node process started with that TZ.
+
+import { spawnSync } from 'child_process';
+import path from 'path';
+
+const ZONES = ['UTC', 'America/Los_Angeles', 'America/New_York', 'Europe/Berlin', 'Asia/Tokyo', 'Pacific/Auckland'];
+
+const RULES = {
+  // Crosses the US (Mar 9), EU (Mar 30) and New Zealand (Apr 6) DST changes
+  daily: { recurrenceType: 'daily', interval: 4, startDate: '2025-03-01', endDate: '2025-04-10' },
+  weekly: { recurrenceType: 'weekly', interval: 1, daysOfWeek: ['Sunday', 'Monday'], weekStart: 'Monday', startDate: '2025-03-02', endDate: '2025-04-07' },
+  monthly: {
+    recurrenceType: 'monthly',
+    interval: 1,
+    monthlyPattern: { mode: 'weekday', weeks: ['last'], days: ['Sunday'], combineDays: false, monthDays: [1] },
+    startDate: '2025-01-01',
+    count: 5,
+  },
+};
+
+const EXPECTED = {
+  daily: ['2025-03-01', '2025-03-05', '2025-03-09', '2025-03-13', '2025-03-17', '2025-03-21', '2025-03-25', '2025-03-29', '2025-04-02', '2025-04-06', '2025-04-10'],
+  weekly: ['2025-03-02', '2025-03-03', '2025-03-09', '2025-03-10', '2025-03-16', '2025-03-17', '2025-03-23', '2025-03-24', '2025-03-30', '2025-03-31', '2025-04-06', '2025-04-07'],
+  monthly: ['2025-01-26', '2025-02-23', '2025-03-30', '2025-04-27', '2025-05-25'],
+};
+
+// Loads recurrence.js through Babel (as Jest does) and prints the host timezone and
+// the dates of each rule as JSON
+const CHILD_SCRIPT = `
+  const Module = require('module');
+  const { transformFileSync } = require('@babel/core');
+  const [file, rules] = process.argv.slice(1);
+  const recurrence = new Module(file);
+  recurrence._compile(transformFileSync(file).code, file);
+  const { generateOccurrences, createOccurrenceIterator } = recurrence.exports;
+  const results = {};
+  for (const [type, rule] of Object.entries(JSON.parse(rules))) {
+    results[type] = {
+      all: generateOccurrences(rule),
+      march: createOccurrenceIterator(rule).between('2025-03-08', '2025-03-31'),
+    };
+  }
+  console.log(JSON.stringify({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, results }));
+`;
+
+const runIn = (timeZone) => {
+  const rules = Object.fromEntries(Object.entries(RULES).map(([type, rule]) => [type, { excludedDates: [], extraDates: [], ...rule }]));
+  const child = spawnSync(process.execPath, ['-e', CHILD_SCRIPT, path.join(__dirname, 'recurrence.js'), JSON.stringify(rules)], {
+    cwd: __dirname,
+    env: { ...process.env, TZ: timeZone },
+    encoding: 'utf8',
+  });
+  if (child.status !== 0) throw new Error(child.stderr);
+  return JSON.parse(child.stdout);
+};
+
+describe.each(ZONES)('with the host timezone set to %s', (zone) => {
+  let output;
+
+  beforeAll(() => {
+    output = runIn(zone);
+  });
+
+  test('the timezone is in effect', () => {
+    expect(output.timeZone).toBe(zone);
+  });
+
+  test.each(Object.keys(RULES))('%s rules give the same dates', (type) => {
+    expect(output.results[type].all).toEqual(EXPECTED[type]);
+    expect(output.results[type].march).toEqual(EXPECTED[type].filter(date => date >= '2025-03-08' && date <= '2025-03-31'));
+  });
+});
@@ -0,0 +1,392 @@
+// --- RFC 5545 RRULE Serialization ---
+// Converts between the picker's rule state and iCalendar DTSTART/RRULE strings, e.g.
+//   DTSTART;VALUE=DATE:20250106
+//   RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20250630
+//   EXDATE;VALUE=DATE:20250113
+//   RDATE;VALUE=DATE:20250111
+// Timed rules use local date-times in the rule's timezone instead, with a UTC UNTIL:
+//   DTSTART;TZID=Europe/Madrid:20250106T093000
+//   RRULE:FREQ=WEEKLY;UNTIL=20250630T073000Z
+// Parsing rejects any part the picker cannot represent instead of silently dropping it.
+//
+// Note that the picker clamps BYMONTHDAY values past the end of a short month to its
+// last day, whereas RFC 5545 consumers skip that month.
+
+import {
+  DAY_NAMES,
+  DEFAULT_YEARLY_PATTERN,
+  normalizeMonthlyPattern,
+  ordinalToPosition,
+  positionToOrdinal,
+  zonedDateTime,
+  dateInTimeZone,
+  localTimeZone,
+  isValidTimeZone,
+} from './recurrence';
+
+// iCalendar weekday codes, indexed like DAY_NAMES (0 for Sunday)
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+const FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY',
+};
+
+// YYYY-MM-DD <-> YYYYMMDD
+export const toICalDate = (dateString) => dateString.replace(/-/g, '');
+// YYYY-MM-DD and HH:MM -> local date-time YYYYMMDDTHHMMSS
+const toICalDateTime = (dateString, time) => `${toICalDate(dateString)}T${time.replace(':', '')}00`;
+// Instant -> UTC date-time YYYYMMDDTHHMMSSZ
+export const toICalTimestamp = (instant) => instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// Minutes <-> iCalendar duration, e.g. PT1H30M
+export const toICalDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `PT${hours > 0 ? `${hours}H` : ''}${minutes % 60 > 0 || hours === 0 ? `${minutes % 60}M` : ''}`;
+};
+const fromICalDuration = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match || value === 'P' || value.endsWith('T')) throw new Error(`Invalid iCalendar duration "${value}"`);
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  if (seconds % 60 !== 0) throw new Error(`DURATION must be whole minutes, got "${value}"`);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes + seconds / 60;
+};
+const fromICalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) throw new Error(`Invalid iCalendar date "${value}"`);
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+const toDayCode = (dayName) => DAY_CODES[DAY_NAMES.indexOf(dayName)];
+const fromDayCode = (code) => {
+  const index = DAY_CODES.indexOf(code);
+  if (index === -1) throw new Error(`Unknown weekday "${code}" in BYDAY`);
+  return DAY_NAMES[index];
+};
+
+const sortDayNames = (dayNames) => [...dayNames].sort((a, b) => DAY_NAMES.indexOf(a) - DAY_NAMES.indexOf(b));
+
+const parseIntegerList = (key, value, isValid) => value.split(',').map(item => {
+  if (!/^[+-]?\d+$/.test(item) || !isValid(Number(item))) throw new Error(`Unsupported ${key} value "${item}"`);
+  return Number(item);
+});
+
+// RRULE parts selecting dates within a month for a monthly pattern
+const monthlyPatternToParts = (monthlyPattern) => {
+  const { mode, weeks, days, combineDays, monthDays } = normalizeMonthlyPattern(monthlyPattern);
+
+  if (mode === 'dayOfMonth') return [`BYMONTHDAY=${monthDays.join(',')}`];
+
+  const positions = weeks.map(ordinalToPosition);
+  const dayCodes = sortDayNames(days).map(toDayCode);
+  if (combineDays) return [`BYDAY=${dayCodes.join(',')}`, `BYSETPOS=${positions.join(',')}`];
+  return [`BYDAY=${positions.flatMap(position => dayCodes.map(code => `${position}${code}`)).join(',')}`];
+};
+
+// Build a monthly pattern from BYDAY/BYMONTHDAY/BYSETPOS. Without any of them the
+// rule falls on DTSTART's day of the month, as RFC 5545 specifies.
+const partsToMonthlyPattern = ({ BYDAY, BYMONTHDAY, BYSETPOS }, startDate) => {
+  if (BYMONTHDAY && (BYDAY || BYSETPOS)) throw new Error('BYMONTHDAY cannot be combined with BYDAY or BYSETPOS');
+
+  if (BYMONTHDAY) {
+    const monthDays = parseIntegerList('BYMONTHDAY', BYMONTHDAY, day => day !== 0 && day >= -31 && day <= 31);
+    return normalizeMonthlyPattern({ mode: 'dayOfMonth', monthDays });
+  }
+
+  if (!BYDAY) {
+    if (BYSETPOS) throw new Error('BYSETPOS requires BYDAY');
+    if (!startDate) throw new Error('Rules without BYDAY or BYMONTHDAY need a DTSTART');
+    return normalizeMonthlyPattern({ mode: 'dayOfMonth', monthDays: [Number(startDate.split('-')[2])] });
+  }
+
+  const entries = BYDAY.split(',').map(item => {
+    const match = /^([+-]?\d)?([A-Z]{2})$/.exec(item);
+    if (!match) throw new Error(`Invalid BYDAY value "${item}"`);
+    return { position: match[1] ? Number(match[1]) : null, day: fromDayCode(match[2]) };
+  });
+  const toOrdinal = (position) => {
+    const week = positionToOrdinal(position);
+    if (!week) throw new Error(`Only the first to fourth and last (-1) weekdays are supported, got position ${position}`);
+    return week;
+  };
+
+  if (BYSETPOS) {
+    if (entries.some(({ position }) => position !== null)) throw new Error('BYDAY must not have ordinals when BYSETPOS is set');
+    const weeks = parseIntegerList('BYSETPOS', BYSETPOS, () => true).map(toOrdinal);
+    return normalizeMonthlyPattern({ mode: 'weekday', weeks, days: entries.map(({ day }) => day), combineDays: true });
+  }
+
+  if (entries.some(({ position }) => position === null)) {
+    throw new Error(`BYDAY "${BYDAY}" needs an ordinal on every weekday (e.g. 2TU or -1MO)`);
+  }
+
+  // The picker pairs every selected ordinal with every selected weekday
+  const weeks = Array.from(new Set(entries.map(({ position }) => position))).map(toOrdinal);
+  const days = Array.from(new Set(entries.map(({ day }) => day)));
+  if (entries.length !== weeks.length * days.length) {
+    throw new Error(`BYDAY "${BYDAY}" must use the same ordinals for every weekday`);
+  }
+  return normalizeMonthlyPattern({ mode: 'weekday', weeks, days, combineDays: false });
+};
+
+const isLeapDayStart = (startDate) => Boolean(startDate) && startDate.endsWith('-02-29');
+
+// RRULE parts for a yearly pattern. A Feb 29 start maps its leap-day policy onto
+// equivalent rules: the last day of February for 'feb28' and the 60th day of the
+// year (Feb 29 in leap years, Mar 1 otherwise) for 'mar1'.
+const yearlyPatternToParts = (yearlyPattern, startDate) => {
+  const { mode, months, leapDayPolicy, ...monthlyPattern } = { ...DEFAULT_YEARLY_PATTERN, ...yearlyPattern };
+
+  if (mode === 'date') {
+    if (!isLeapDayStart(startDate)) return [];
+    if (leapDayPolicy === 'feb28') return ['BYMONTH=2', 'BYMONTHDAY=-1'];
+    if (leapDayPolicy === 'mar1') return ['BYYEARDAY=60'];
+    return [];
+  }
+
+  const selectedMonths = months.length > 0
+    ? [...months].sort((a, b) => a - b)
+    : [startDate ? Number(startDate.split('-')[1]) : 1];
+
+  // In a yearly RRULE, BYSETPOS picks from the whole year rather than from each month
+  if (mode === 'weekday' && monthlyPattern.combineDays && selectedMonths.length > 1) {
+    throw new Error('Counting weekdays together across several months cannot be expressed as an RRULE');
+  }
+
+  return [`BYMONTH=${selectedMonths.join(',')}`, ...monthlyPatternToParts({ ...monthlyPattern, mode })];
+};
+
+// Build a yearly pattern from BYMONTH/BYYEARDAY plus the monthly parts
+const partsToYearlyPattern = ({ BYMONTH, BYYEARDAY, BYDAY, BYMONTHDAY, BYSETPOS }, startDate) => {
+  if (BYYEARDAY) {
+    if (BYYEARDAY !== '60' || BYMONTH || BYDAY || BYMONTHDAY || BYSETPOS || !isLeapDayStart(startDate)) {
+      throw new Error('BYYEARDAY is only supported as BYYEARDAY=60 with a Feb 29 DTSTART');
+    }
+    return { ...DEFAULT_YEARLY_PATTERN, leapDayPolicy: 'mar1' };
+  }
+
+  if (!BYMONTH && !BYDAY && !BYMONTHDAY) {
+    if (BYSETPOS) throw new Error('BYSETPOS requires BYDAY');
+    return { ...DEFAULT_YEARLY_PATTERN };
+  }
+
+  if (BYDAY && !BYMONTH) throw new Error('Yearly BYDAY needs BYMONTH; weekday ordinals within the whole year are not supported');
+
+  const months = BYMONTH
+    ? parseIntegerList('BYMONTH', BYMONTH, month => month >= 1 && month <= 12)
+    : [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]; // BYMONTHDAY alone applies to every month
+  if (BYSETPOS && months.length > 1) throw new Error('BYSETPOS with several months cannot be represented');
+
+  return {
+    ...DEFAULT_YEARLY_PATTERN,
+    ...partsToMonthlyPattern({ BYDAY, BYMONTHDAY, BYSETPOS }, startDate),
+    months,
+  };
+};
+
+// Serialize rule state into a DTSTART line, an RRULE line and any EXDATE/RDATE lines.
+// Only one of `endDate` (UNTIL) and `count` (COUNT) should be set. Throws if the
+// rule has no RRULE equivalent.
+export const toRRule = ({
+  recurrenceType,
+  interval = 1,
+  daysOfWeek = [],
+  weekStart = 'Monday',
+  monthlyPattern,
+  yearlyPattern,
+  startDate,
+  endDate,
+  count,
+  excludedDates = [],
+  extraDates = [],
+  allDay = true,
+  startTime = '09:00',
+  timeZone = localTimeZone(),
+  weekdaysOnly = false,
+  nonWorkingDayPolicy = 'keep',
+}) => {
+  if (nonWorkingDayPolicy !== 'keep') {
+    throw new Error('Moving or skipping dates on weekends and holidays cannot be expressed as an RRULE');
+  }
+
+  const parts = [`FREQ=${FREQUENCIES[recurrenceType]}`];
+  const timed = !allDay && startDate;
+
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (recurrenceType === 'daily' && weekdaysOnly) parts.push(`BYDAY=${WEEKDAY_CODES.join(',')}`);
+
+  if (recurrenceType === 'weekly' && daysOfWeek.length > 0) {
+    parts.push(`BYDAY=${sortDayNames(daysOfWeek).map(toDayCode).join(',')}`);
+  }
+
+  if (recurrenceType === 'weekly' && weekStart !== 'Monday') parts.push(`WKST=${toDayCode(weekStart)}`); // MO is the RFC default
+  if (recurrenceType === 'monthly') parts.push(...monthlyPatternToParts(monthlyPattern));
+  if (recurrenceType === 'yearly') parts.push(...yearlyPatternToParts(yearlyPattern, startDate));
+
+  if (endDate) parts.push(`UNTIL=${timed ? toICalTimestamp(zonedDateTime(endDate, startTime, timeZone)) : toICalDate(endDate)}`);
+  if (count) parts.push(`COUNT=${count}`);
+
+  // Dates, or date-times at the start time in the rule's timezone
+  const dateParam = timed ? `TZID=${timeZone}` : 'VALUE=DATE';
+  const toValue = timed ? (date) => toICalDateTime(date, startTime) : toICalDate;
+
+  const lines = [];
+  if (startDate) lines.push(`DTSTART;${dateParam}:${toValue(startDate)}`);
+  lines.push(`RRULE:${parts.join(';')}`);
+  if (excludedDates.length > 0) lines.push(`EXDATE;${dateParam}:${[...excludedDates].sort().map(toValue).join(',')}`);
+  if (extraDates.length > 0) lines.push(`RDATE;${dateParam}:${[...extraDates].sort().map(toValue).join(',')}`);
+  return lines.join('\n');
+};
+
+// Properties of a calendar file's envelope that say nothing about the schedule
+const IGNORED_PROPERTIES = ['VERSION', 'PRODID', 'CALSCALE', 'METHOD', 'UID', 'DTSTAMP', 'SUMMARY'];
+
+// Parse DTSTART/RRULE/EXDATE/RDATE lines (or a bare "FREQ=...;..." value) into rule state.
+// A DURATION line, as in a VEVENT, sets the duration of a timed rule. A whole calendar
+// file with a single VEVENT, such as toICalendar's, can be pasted too: folded lines are
+// joined and the VCALENDAR/VEVENT envelope is skipped, as is any VTIMEZONE since TZID
+// names are looked up in Intl.
+// Throws an Error describing the first part that cannot be represented.
+export const parseRRule = (text) => {
+  const rule = {
+    daysOfWeek: [],
+    weekStart: 'Monday',
+    interval: 1,
+    weekdaysOnly: false,
+    nonWorkingDayPolicy: 'keep',
+    endDate: '',
+    count: null,
+    excludedDates: [],
+    extraDates: [],
+  };
+  let rruleValue = null;
+
+  // Dates listed after the colon of an EXDATE/RDATE line
+  const lineDates = (line) => line.slice(line.indexOf(':') + 1).split(',').map(fromICalDate);
+
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.filter(line => line.toUpperCase() === 'BEGIN:VEVENT').length > 1) {
+    throw new Error('Only a calendar with a single VEVENT can be imported');
+  }
+
+  let inTimeZone = false;
+  lines.forEach(line => {
+    const name = line.split(/[:;]/)[0].toUpperCase();
+    if (line.toUpperCase() === 'BEGIN:VTIMEZONE') inTimeZone = true;
+    if (inTimeZone) {
+      if (line.toUpperCase() === 'END:VTIMEZONE') inTimeZone = false;
+      return;
+    }
+    if (IGNORED_PROPERTIES.includes(name)) return;
+    if (name === 'BEGIN' || name === 'END') {
+      const component = line.slice(line.indexOf(':') + 1).toUpperCase();
+      if (component !== 'VCALENDAR' && component !== 'VEVENT') throw new Error(`Unsupported iCalendar component "${component}"`);
+    } else if (line.startsWith('DTSTART')) {
+      const value = line.slice(line.indexOf(':') + 1);
+      rule.startDate = fromICalDate(value);
+      // A date-time start makes a timed rule: TZID or a UTC "Z" give its timezone,
+      // otherwise it is floating and uses the user's
+      const time = /T(\d{2})(\d{2})\d{2}(Z?)$/.exec(value);
+      const tzid = /;TZID=([^;:]+)/i.exec(line);
+      rule.allDay = !time;
+      if (time) rule.startTime = `${time[1]}:${time[2]}`;
+      if (tzid && !isValidTimeZone(tzid[1])) throw new Error(`Unknown TZID "${tzid[1]}"`);
+      if (time && (tzid || time[3])) rule.timeZone = tzid ? tzid[1] : 'UTC';
+    } else if (line.startsWith('EXDATE')) {
+      rule.excludedDates.push(...lineDates(line));
+    } else if (line.startsWith('RDATE')) {
+      if (/VALUE=PERIOD/i.test(line)) throw new Error('RDATE periods are not supported');
+      rule.extraDates.push(...lineDates(line));
+    } else if (line.startsWith('DURATION:')) {
+      rule.duration = fromICalDuration(line.slice('DURATION:'.length));
+    } else if (line.startsWith('RRULE:')) {
+      rruleValue = line.slice('RRULE:'.length);
+    } else if (line.startsWith('FREQ=')) {
+      rruleValue = line;
+    } else {
+      throw new Error(`Unsupported iCalendar property "${line.split(/[:;]/)[0]}"`);
+    }
+  });
+
+  if (!rruleValue) throw new Error('No RRULE found');
+
+  const parts = {};
+  rruleValue.split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) throw new Error(`Malformed RRULE part "${part}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  const recurrenceType = Object.keys(FREQUENCIES).find(type => FREQUENCIES[type] === parts.FREQ);
+  if (!recurrenceType) throw new Error(`Unsupported FREQ "${parts.FREQ || ''}"; expected DAILY, WEEKLY, MONTHLY or YEARLY`);
+  rule.recurrenceType = recurrenceType;
+
+  Object.keys(parts).forEach(key => {
+    const value = parts[key];
+    switch (key) {
+      case 'FREQ':
+        break;
+
+      case 'INTERVAL':
+        if (!/^\d+$/.test(value) || Number(value) < 1) throw new Error(`INTERVAL must be a positive integer, got "${value}"`);
+        rule.interval = Number(value);
+        break;
+
+      case 'UNTIL':
+        rule.endDate = fromICalDate(value);
+        break;
+
+      case 'WKST':
+        if (value !== 'MO' && value !== 'SU') throw new Error(`WKST must be MO or SU, got "${value}"`);
+        rule.weekStart = fromDayCode(value);
+        break;
+
+      case 'COUNT':
+        if (!/^\d+$/.test(value) || Number(value) < 1) throw new Error(`COUNT must be a positive integer, got "${value}"`);
+        rule.count = Number(value);
+        break;
+
+      case 'BYDAY':
+        if (recurrenceType === 'weekly') {
+          rule.daysOfWeek = value.split(',').map(fromDayCode);
+        } else if (recurrenceType === 'daily') {
+          // Only "every weekday" is supported
+          if (value.split(',').sort().join(',') !== [...WEEKDAY_CODES].sort().join(',')) {
+            throw new Error(`BYDAY for FREQ=DAILY must be ${WEEKDAY_CODES.join(',')}, got "${value}"`);
+          }
+          rule.weekdaysOnly = true;
+        }
+        break;
+
+      case 'BYMONTHDAY':
+      case 'BYSETPOS':
+        if (recurrenceType !== 'monthly' && recurrenceType !== 'yearly') throw new Error(`${key} is not supported for FREQ=${parts.FREQ}`);
+        break;
+
+      case 'BYMONTH':
+      case 'BYYEARDAY':
+        if (recurrenceType !== 'yearly') throw new Error(`${key} is not supported for FREQ=${parts.FREQ}`);
+        break;
+
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  });
+
+  if (parts.UNTIL && parts.COUNT) throw new Error('UNTIL and COUNT must not both be set');
+
+  // A UTC UNTIL ends a timed rule on its date in the rule's timezone
+  const until = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(parts.UNTIL || '');
+  if (until && rule.allDay === false) {
+    const [, year, month, day, hours, minutes, seconds] = until.map(Number);
+    rule.endDate = dateInTimeZone(new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)), rule.timeZone || localTimeZone());
+  }
+
+  if (recurrenceType === 'monthly') rule.monthlyPattern = partsToMonthlyPattern(parts, rule.startDate);
+  if (recurrenceType === 'yearly') rule.yearlyPattern = partsToYearlyPattern(parts, rule.startDate);
+
+  return rule;
+};
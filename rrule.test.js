@@ -0,0 +1,136 @@
+import { toRRule, parseRRule } from './rrule';
+import { generateOccurrences } from './recurrence';
+
+const monthlyRule = (monthlyPattern) => ({
+  recurrenceType: 'monthly',
+  interval: 1,
+  monthlyPattern: { combineDays: false, monthDays: [1], ...monthlyPattern },
+  startDate: '2025-01-01',
+  count: 6,
+});
+
+// The RRULE line of a rule, without its DTSTART
+const rruleLine = (rule) => toRRule(rule).split('\n').find(line => line.startsWith('RRULE:'));
+
+describe('toRRule', () => {
+  test.each([
+    ['first', '1MO'],
+    ['second', '2MO'],
+    ['third', '3MO'],
+    ['fourth', '4MO'],
+    ['last', '-1MO'],
+  ])('writes the %s Monday of the month as BYDAY=%s', (week, byDay) => {
+    expect(rruleLine(monthlyRule({ mode: 'weekday', weeks: [week], days: ['Monday'] })))
+      .toBe(`RRULE:FREQ=MONTHLY;BYDAY=${byDay};COUNT=6`);
+  });
+
+  test('pairs every ordinal with every weekday, or counts them together with BYSETPOS', () => {
+    const pattern = { mode: 'weekday', weeks: ['first', 'last'], days: ['Friday', 'Monday'] };
+    expect(rruleLine(monthlyRule(pattern))).toBe('RRULE:FREQ=MONTHLY;BYDAY=1MO,1FR,-1MO,-1FR;COUNT=6');
+    expect(rruleLine(monthlyRule({ ...pattern, combineDays: true }))).toBe('RRULE:FREQ=MONTHLY;BYDAY=MO,FR;BYSETPOS=1,-1;COUNT=6');
+  });
+
+  test('writes days of the month as BYMONTHDAY', () => {
+    expect(rruleLine(monthlyRule({ mode: 'dayOfMonth', monthDays: [1, -1] }))).toBe('RRULE:FREQ=MONTHLY;BYMONTHDAY=1,-1;COUNT=6');
+  });
+
+  test('writes all-day starts as dates and timed starts in their timezone', () => {
+    const rule = { recurrenceType: 'daily', startDate: '2025-03-01', endDate: '2025-03-31' };
+    expect(toRRule({ ...rule, interval: 2 })).toBe('DTSTART;VALUE=DATE:20250301\nRRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20250331');
+    // The last date is in summer time, UTC+2
+    expect(toRRule({ ...rule, allDay: false, startTime: '09:30', timeZone: 'Europe/Madrid' }))
+      .toBe('DTSTART;TZID=Europe/Madrid:20250301T093000\nRRULE:FREQ=DAILY;UNTIL=20250331T073000Z');
+  });
+
+  test('rejects rules that move dates off weekends and holidays', () => {
+    expect(() => toRRule({ ...monthlyRule({ mode: 'dayOfMonth', monthDays: [1] }), nonWorkingDayPolicy: 'next' }))
+      .toThrow('Moving or skipping dates on weekends and holidays cannot be expressed as an RRULE');
+  });
+});
+
+describe('parseRRule', () => {
+  test.each([
+    ['1MO', 'first'],
+    ['2MO', 'second'],
+    ['3MO', 'third'],
+    ['4MO', 'fourth'],
+    ['-1MO', 'last'],
+  ])('reads BYDAY=%s as the %s Monday of the month', (byDay, week) => {
+    expect(parseRRule(`FREQ=MONTHLY;BYDAY=${byDay}`).monthlyPattern)
+      .toMatchObject({ mode: 'weekday', weeks: [week], days: ['Monday'], combineDays: false });
+  });
+
+  test('reads ordinals on several weekdays and BYSETPOS', () => {
+    expect(parseRRule('FREQ=MONTHLY;BYDAY=+2TU,2TH').monthlyPattern)
+      .toMatchObject({ mode: 'weekday', weeks: ['second'], days: ['Tuesday', 'Thursday'], combineDays: false });
+    expect(parseRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1').monthlyPattern)
+      .toMatchObject({ mode: 'weekday', weeks: ['last'], combineDays: true });
+  });
+
+  test('reads the envelope, exceptions and a timed start', () => {
+    const rule = parseRRule([
+      'DTSTART;TZID=Europe/Madrid:20250106T183000',
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;WKST=SU;COUNT=10',
+      'EXDATE;TZID=Europe/Madrid:20250108T183000',
+      'RDATE;TZID=Europe/Madrid:20250111T183000',
+    ].join('\r\n'));
+    expect(rule).toMatchObject({
+      recurrenceType: 'weekly',
+      interval: 2,
+      daysOfWeek: ['Monday', 'Wednesday'],
+      weekStart: 'Sunday',
+      count: 10,
+      startDate: '2025-01-06',
+      allDay: false,
+      startTime: '18:30',
+      timeZone: 'Europe/Madrid',
+      excludedDates: ['2025-01-08'],
+      extraDates: ['2025-01-11'],
+    });
+  });
+
+  test.each([
+    ['first and last Monday and Friday', { mode: 'weekday', weeks: ['first', 'last'], days: ['Monday', 'Friday'] }],
+    ['last weekday', { mode: 'weekday', weeks: ['last'], days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], combineDays: true }],
+    ['1st and 15th', { mode: 'dayOfMonth', monthDays: [1, 15] }],
+  ])('gives back the same dates for the %s of the month', (name, pattern) => {
+    const rule = monthlyRule(pattern);
+    expect(generateOccurrences({ ...rule, ...parseRRule(toRRule(rule)) })).toEqual(generateOccurrences(rule));
+  });
+
+  test.each([
+    ['feb28', 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1;COUNT=5'],
+    ['mar1', 'RRULE:FREQ=YEARLY;BYYEARDAY=60;COUNT=5'],
+  ])('maps a Feb 29 start with the %s policy to and from %s', (leapDayPolicy, rrule) => {
+    const rule = { recurrenceType: 'yearly', interval: 1, yearlyPattern: { mode: 'date', leapDayPolicy }, startDate: '2024-02-29', count: 5 };
+    expect(rruleLine(rule)).toBe(rrule);
+    expect(generateOccurrences({ ...rule, ...parseRRule(toRRule(rule)) })).toEqual(generateOccurrences(rule));
+  });
+
+  test('reads a yearly nth weekday in several months', () => {
+    expect(parseRRule('FREQ=YEARLY;BYMONTH=11,5;BYDAY=4TH').yearlyPattern)
+      .toMatchObject({ mode: 'weekday', weeks: ['fourth'], days: ['Thursday'], months: [11, 5] });
+  });
+
+  test.each([
+    ['FREQ=MONTHLY;BYDAY=5MO', 'Only the first to fourth and last (-1) weekdays are supported, got position 5'],
+    ['FREQ=MONTHLY;BYDAY=-2MO', 'Only the first to fourth and last (-1) weekdays are supported, got position -2'],
+    ['FREQ=MONTHLY;BYDAY=MO', 'BYDAY "MO" needs an ordinal on every weekday (e.g. 2TU or -1MO)'],
+    ['FREQ=MONTHLY;BYDAY=1MO,-1FR', 'BYDAY "1MO,-1FR" must use the same ordinals for every weekday'],
+    ['FREQ=HOURLY', 'Unsupported FREQ "HOURLY"; expected DAILY, WEEKLY, MONTHLY or YEARLY'],
+    ['RRULE:INTERVAL=2', 'Unsupported FREQ ""; expected DAILY, WEEKLY, MONTHLY or YEARLY'],
+    ['FREQ=DAILY;BYHOUR=9', 'Unsupported RRULE part "BYHOUR"'],
+    ['FREQ=WEEKLY;BYWEEKNO=20', 'Unsupported RRULE part "BYWEEKNO"'],
+    ['FREQ=DAILY;UNTIL=20250331;COUNT=5', 'UNTIL and COUNT must not both be set'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive integer, got "0"'],
+    ['FREQ=WEEKLY;BYMONTHDAY=1', 'BYMONTHDAY is not supported for FREQ=WEEKLY'],
+    ['FREQ=DAILY;BYDAY=MO', 'BYDAY for FREQ=DAILY must be MO,TU,WE,TH,FR, got "MO"'],
+    ['DTSTART:20250101\nX-RULE:FREQ=DAILY', 'Unsupported iCalendar property "X-RULE"'],
+    ['DTSTART;TZID=Mars/Olympus:20250101T090000\nRRULE:FREQ=DAILY', 'Unknown TZID "Mars/Olympus"'],
+    ['DTSTART:20250101', 'No RRULE found'],
+    ['DTSTART;VALUE=DATE:20250301\nRRULE:FREQ=YEARLY;BYYEARDAY=60', 'BYYEARDAY is only supported as BYYEARDAY=60 with a Feb 29 DTSTART'],
+    ['FREQ=YEARLY;BYDAY=1MO', 'Yearly BYDAY needs BYMONTH; weekday ordinals within the whole year are not supported'],
+  ])('rejects %j', (text, message) => {
+    expect(() => parseRRule(text)).toThrow(message);
+  });
+});
@@ -0,0 +1,93 @@
+// --- URL State ---
+// Keeps a rule in a query parameter so a configured schedule can be shared by link.
+// The value is the rule's DTSTART/RRULE text (see rrule.js), plus a DURATION line for
+// timed rules, or the rule as JSON when it has no RRULE equivalent (e.g. dates moved
+// off holidays). Writing replaces the current history entry rather than adding one.
+
+import { parseDate, formatDate, DAY_NAMES } from './recurrence';
+import { toRRule, parseRRule, toICalDuration } from './rrule';
+
+// A rule as the text stored in the URL
+export const serializeRule = (rule) => {
+  try {
+    return [toRRule(rule), ...(rule.allDay === false ? [`DURATION:${toICalDuration(rule.duration)}`] : [])].join('\n');
+  } catch (error) {
+    return JSON.stringify(rule);
+  }
+};
+
+// --- JSON Rule Shape ---
+// A link can hold any text, so a JSON rule is checked field by field before the picker
+// sees it: only rule fields, each of the type the picker reads it as. Whether the values
+// make a sensible rule is left to validateRule.
+
+const isString = (value) => typeof value === 'string';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isBoolean = (value) => typeof value === 'boolean';
+const isDate = (value) => isString(value) && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDate(parseDate(value)) === value;
+const isDayName = (value) => DAY_NAMES.includes(value);
+const isArrayOf = (isItem) => (value) => Array.isArray(value) && value.every(isItem);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isObjectOf = (fields) => (value) => (
+  isPlainObject(value) && Object.keys(value).every(key => Object.hasOwn(fields, key) && fields[key](value[key]))
+);
+
+const MONTHLY_PATTERN_FIELDS = {
+  mode: isString,
+  weeks: isArrayOf(isString),
+  days: isArrayOf(isDayName),
+  combineDays: isBoolean,
+  monthDays: isArrayOf(isNumber),
+  week: isString, // Single week and day of older patterns (see normalizeMonthlyPattern)
+  day: isDayName,
+};
+
+const isRule = isObjectOf({
+  recurrenceType: isString,
+  interval: isPositiveInteger,
+  daysOfWeek: isArrayOf(isDayName),
+  weekStart: isDayName,
+  monthlyPattern: isObjectOf(MONTHLY_PATTERN_FIELDS),
+  yearlyPattern: isObjectOf({ ...MONTHLY_PATTERN_FIELDS, months: isArrayOf(isNumber), leapDayPolicy: isString }),
+  startDate: isDate,
+  allDay: isBoolean,
+  startTime: isString,
+  duration: isNumber,
+  timeZone: isString,
+  weekdaysOnly: isBoolean,
+  nonWorkingDayPolicy: isString,
+  endType: isString,
+  endDate: (value) => value === '' || isDate(value),
+  count: (value) => value === null || isPositiveInteger(value),
+  excludedDates: isArrayOf(isDate),
+  extraDates: isArrayOf(isDate),
+});
+
+// Rule fields from text made by serializeRule. Throws if it can't be read.
+export const deserializeRule = (text) => {
+  if (!text.trim().startsWith('{')) return parseRRule(text);
+  const rule = JSON.parse(text);
+  if (!isRule(rule)) throw new Error('The rule in the link is not valid');
+  return rule;
+};
+
+// Rule fields from the `param` query parameter, or null when it is missing or
+// unreadable (a broken link falls back to the picker's default rule)
+export const readRuleFromUrl = (param, location = globalThis.location) => {
+  const text = location ? new URLSearchParams(location.search).get(param) : null;
+  if (!text) return null;
+  try {
+    return deserializeRule(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store a rule in the `param` query parameter, keeping the rest of the URL
+export const writeRuleToUrl = (param, rule, { location = globalThis.location, history = globalThis.history } = {}) => {
+  if (!location || !history) return;
+  const url = new URL(location.href);
+  url.searchParams.set(param, serializeRule(rule));
+  history.replaceState(history.state, '', url);
+};
@@ -0,0 +1,85 @@
+import { serializeRule, deserializeRule, readRuleFromUrl, writeRuleToUrl } from './url';
+import { DEFAULT_MONTHLY_PATTERN, DEFAULT_YEARLY_PATTERN } from './recurrence';
+
+const RULE = {
+  recurrenceType: 'weekly',
+  interval: 2,
+  daysOfWeek: ['Monday', 'Friday'],
+  weekStart: 'Monday',
+  monthlyPattern: DEFAULT_MONTHLY_PATTERN,
+  yearlyPattern: DEFAULT_YEARLY_PATTERN,
+  startDate: '2025-01-06',
+  allDay: true,
+  startTime: '09:00',
+  duration: 60,
+  timeZone: 'UTC',
+  weekdaysOnly: false,
+  nonWorkingDayPolicy: 'keep',
+  endType: 'count',
+  endDate: '',
+  count: 10,
+  excludedDates: ['2025-01-10'],
+  extraDates: [],
+};
+
+const urlWith = (param, value) => ({ search: `?${new URLSearchParams({ [param]: value })}` });
+
+describe('deserializeRule', () => {
+  test('reads RRULE text', () => {
+    expect(deserializeRule(serializeRule(RULE))).toMatchObject({
+      recurrenceType: 'weekly',
+      interval: 2,
+      daysOfWeek: ['Monday', 'Friday'],
+      count: 10,
+      excludedDates: ['2025-01-10'],
+    });
+  });
+
+  test('reads a JSON rule', () => {
+    // Moved dates have no RRULE equivalent, so the rule is kept as JSON
+    const moved = { ...RULE, nonWorkingDayPolicy: 'next' };
+    expect(serializeRule(moved).startsWith('{')).toBe(true);
+    expect(deserializeRule(serializeRule(moved))).toEqual(moved);
+  });
+
+  test.each([
+    ['a string for an array', { daysOfWeek: 'Monday' }],
+    ['an unknown weekday', { daysOfWeek: ['Mon'] }],
+    ['an unknown field', { holidays: [] }],
+    ['an invalid start date', { startDate: '2025-02-30' }],
+    ['a date in another format', { excludedDates: ['01/10/2025'] }],
+    ['a string for a number', { interval: '2' }],
+    ['an interval of 0', { interval: 0 }],
+    ['a negative interval', { interval: -1 }],
+    ['a fractional interval', { interval: 1.5 }],
+    ['a count of 0', { count: 0 }],
+    ['a malformed pattern', { monthlyPattern: { ...DEFAULT_MONTHLY_PATTERN, weeks: 'first' } }],
+  ])('rejects a JSON rule with %s', (label, changes) => {
+    expect(() => deserializeRule(JSON.stringify({ ...RULE, ...changes }))).toThrow('The rule in the link is not valid');
+  });
+});
+
+describe('readRuleFromUrl', () => {
+  test('returns the rule in the parameter', () => {
+    expect(readRuleFromUrl('rule', urlWith('rule', serializeRule(RULE)))).toMatchObject({ recurrenceType: 'weekly', count: 10 });
+  });
+
+  test('returns null when the parameter is missing or unreadable', () => {
+    expect(readRuleFromUrl('rule', { search: '' })).toBeNull();
+    expect(readRuleFromUrl('rule', urlWith('rule', 'FREQ=HOURLY'))).toBeNull();
+    expect(readRuleFromUrl('rule', urlWith('rule', '{"recurrenceType":'))).toBeNull();
+    expect(readRuleFromUrl('rule', urlWith('rule', '{"recurrenceType":"weekly","daysOfWeek":"Monday","startDate":"2025-01-01"}'))).toBeNull();
+    expect(readRuleFromUrl('rule', urlWith('rule', '{"recurrenceType":"daily","interval":0,"startDate":"2025-03-04"}'))).toBeNull();
+  });
+});
+
+describe('writeRuleToUrl', () => {
+  test('replaces the current history entry, keeping other parameters', () => {
+    const history = { state: { page: 1 }, replaceState: jest.fn() };
+    writeRuleToUrl('rule', RULE, { location: { href: 'https://example.com/plan?view=month' }, history });
+    const [state, , url] = history.replaceState.mock.calls[0];
+    expect(state).toEqual({ page: 1 });
+    expect(url.searchParams.get('view')).toBe('month');
+    expect(deserializeRule(url.searchParams.get('rule'))).toMatchObject({ recurrenceType: 'weekly', count: 10 });
+  });
+});
@@ -0,0 +1,150 @@
+// --- Rule Validation ---
+// Checks a rule (see recurrence.js) for settings that are impossible, conflicting or
+// likely to surprise. Errors make the rule unusable; warnings describe a rule that
+// works, but maybe not the way the user expects.
+//
+// Each message is { field, code, message }, where `field` names the rule field to show
+// it next to. The picker's `endType` ('never', 'date' or 'count') is checked too when
+// the rule has one. Include the rule's `holidays` so the occurrence check sees them.
+
+import {
+  createOccurrenceIterator,
+  normalizeMonthlyPattern,
+  parseDate,
+  formatDate,
+  DAY_NAMES,
+  DEFAULT_YEARLY_PATTERN,
+  isValidTimeZone,
+  NON_WORKING_DAY_POLICIES,
+} from './recurrence';
+
+// A YYYY-MM-DD string naming a real calendar date (no Feb 30)
+const isValidDateString = (value) => (
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDate(parseDate(value)) === value
+);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// An HH:MM wall-clock time
+const isValidTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// Length of the shortest of the given months (1-12), counting February as 28 days
+const shortestMonthLength = (months) => Math.min(...months.map(month => (
+  month === 2 ? 28 : [4, 6, 9, 11].includes(month) ? 30 : 31
+)));
+
+// Check the dates a monthly pattern picks, for the months it is applied to
+const validateMonthlyPattern = (pattern, months, field, addError, addWarning) => {
+  const { mode, weeks, days, monthDays } = normalizeMonthlyPattern(pattern);
+
+  if (mode === 'dayOfMonth') {
+    if (monthDays.length === 0) {
+      addError(field, 'noMonthDays', 'Select at least one day of the month.');
+      return;
+    }
+    const shortest = shortestMonthLength(months);
+    const clamped = monthDays.filter(day => day > shortest).sort((a, b) => a - b);
+    if (clamped.length > 0) {
+      addWarning(field, 'clampedMonthDays', `Day ${clamped.join(', ')} falls on the last day of the month in shorter months.`);
+    }
+    return;
+  }
+
+  if (weeks.length === 0) addError(field, 'noWeeks', 'Select at least one of first, second, third, fourth or last.');
+  if (days.length === 0) addError(field, 'noDays', 'Select at least one day of the week.');
+};
+
+// Validate a rule, returning { valid, errors, warnings }
+export const validateRule = (rule) => {
+  const errors = [];
+  const warnings = [];
+  const addError = (field, code, message) => errors.push({ field, code, message });
+  const addWarning = (field, code, message) => warnings.push({ field, code, message });
+
+  const {
+    recurrenceType,
+    interval = 1,
+    daysOfWeek = [],
+    monthlyPattern,
+    yearlyPattern,
+    startDate,
+    endDate,
+    count,
+    endType,
+    allDay = true,
+    startTime,
+    duration,
+    timeZone,
+    nonWorkingDayPolicy = 'keep',
+  } = rule;
+
+  // Dates and end condition
+  if (!startDate) {
+    addError('startDate', 'missingStartDate', 'Choose a start date.');
+  } else if (!isValidDateString(startDate)) {
+    addError('startDate', 'invalidStartDate', 'The start date is not a valid date.');
+  }
+
+  if (endType === 'date' && !endDate) {
+    addError('endDate', 'missingEndDate', 'Choose an end date.');
+  } else if (endDate && !isValidDateString(endDate)) {
+    addError('endDate', 'invalidEndDate', 'The end date is not a valid date.');
+  } else if (endDate && isValidDateString(startDate) && endDate < startDate) {
+    addError('endDate', 'endBeforeStart', 'The end date precedes the start date.');
+  }
+
+  if (count != null && !isPositiveInteger(count)) {
+    addError('count', 'invalidCount', 'The number of occurrences must be a whole number of at least 1.');
+  }
+  if (endDate && count) {
+    addError('endDate', 'conflictingEnd', 'Set either an end date or a number of occurrences, not both.');
+  }
+
+  if (!isPositiveInteger(interval)) {
+    addError('interval', 'invalidInterval', 'The interval must be a whole number of at least 1.');
+  }
+
+  // Times of day
+  if (!allDay) {
+    if (!isValidTime(startTime)) addError('startTime', 'invalidStartTime', 'Choose a start time.');
+    if (!isPositiveInteger(duration)) addError('duration', 'invalidDuration', 'The duration must be a whole number of minutes, at least 1.');
+    if (timeZone && !isValidTimeZone(timeZone)) addError('timeZone', 'invalidTimeZone', `Unknown timezone "${timeZone}".`);
+  }
+
+  // Patterns
+  if (recurrenceType === 'weekly' && daysOfWeek.length === 0 && isValidDateString(startDate)) {
+    const startDay = DAY_NAMES[parseDate(startDate).getUTCDay()];
+    addWarning('daysOfWeek', 'noDaysOfWeek', `No days selected: the rule repeats on the start date's weekday (${startDay}).`);
+  }
+
+  if (recurrenceType === 'monthly') {
+    const allMonths = Array.from({ length: 12 }, (_, index) => index + 1);
+    validateMonthlyPattern(monthlyPattern, allMonths, 'monthlyPattern', addError, addWarning);
+  }
+
+  if (recurrenceType === 'yearly') {
+    const { mode, months, ...pattern } = { ...DEFAULT_YEARLY_PATTERN, ...yearlyPattern };
+    if (mode !== 'date') {
+      const startMonth = isValidDateString(startDate) ? [parseDate(startDate).getUTCMonth() + 1] : [];
+      const patternMonths = months.length > 0 ? months : startMonth;
+      if (patternMonths.length > 0) {
+        validateMonthlyPattern({ ...pattern, mode }, patternMonths, 'yearlyPattern', addError, addWarning);
+      }
+    }
+  }
+
+  // Working days
+  if (!NON_WORKING_DAY_POLICIES.includes(nonWorkingDayPolicy)) {
+    addError('nonWorkingDayPolicy', 'invalidNonWorkingDayPolicy', `Unknown weekend and holiday handling "${nonWorkingDayPolicy}".`);
+  }
+
+  // A rule that is well formed can still produce nothing, e.g. a Feb 29 yearly rule
+  // that ends before the next leap year
+  if (errors.length === 0 && createOccurrenceIterator(rule).next().done) {
+    addError(endDate ? 'endDate' : 'startDate', 'noOccurrences', endDate
+      ? 'This pattern has no occurrences before the end date.'
+      : 'This pattern has no occurrences.');
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
@@ -0,0 +1,128 @@
+import { validateRule } from './validation';
+import { DEFAULT_MONTHLY_PATTERN, DEFAULT_YEARLY_PATTERN } from './recurrence';
+
+const DAILY_RULE = {
+  recurrenceType: 'daily',
+  interval: 1,
+  daysOfWeek: [],
+  startDate: '2025-03-04',
+  endDate: '',
+  count: null,
+  endType: 'never',
+  excludedDates: [],
+  extraDates: [],
+};
+
+const codes = (messages) => messages.map(({ field, code }) => `${field}:${code}`);
+
+describe('validateRule', () => {
+  test('accepts a well-formed rule', () => {
+    expect(validateRule(DAILY_RULE)).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test.each([
+    ['no start date', { startDate: '' }, 'startDate:missingStartDate'],
+    ['an impossible start date', { startDate: '2025-02-30' }, 'startDate:invalidStartDate'],
+    ['an end date before the start date', { endType: 'date', endDate: '2025-03-03' }, 'endDate:endBeforeStart'],
+    ['no end date for an end by date', { endType: 'date', endDate: '' }, 'endDate:missingEndDate'],
+    ['both an end date and a count', { endDate: '2025-04-01', count: 5 }, 'endDate:conflictingEnd'],
+    ['a count of 0', { endType: 'count', count: 0 }, 'count:invalidCount'],
+    ['a fractional interval', { interval: 1.5 }, 'interval:invalidInterval'],
+    ['an unknown non-working day policy', { nonWorkingDayPolicy: 'sometimes' }, 'nonWorkingDayPolicy:invalidNonWorkingDayPolicy'],
+  ])('reports %s', (label, changes, code) => {
+    const result = validateRule({ ...DAILY_RULE, ...changes });
+    expect(result.valid).toBe(false);
+    expect(codes(result.errors)).toContain(code);
+  });
+
+  describe('times of day', () => {
+    const timed = { ...DAILY_RULE, allDay: false, startTime: '09:00', duration: 60, timeZone: 'Europe/Madrid' };
+
+    test('accepts a timed rule', () => {
+      expect(validateRule(timed).valid).toBe(true);
+    });
+
+    test.each([
+      ['a cleared start time', { startTime: '' }, 'startTime:invalidStartTime'],
+      ['an out of range start time', { startTime: '24:00' }, 'startTime:invalidStartTime'],
+      ['a duration of 0', { duration: 0 }, 'duration:invalidDuration'],
+      ['an unknown timezone', { timeZone: 'Europe/Atlantis' }, 'timeZone:invalidTimeZone'],
+    ])('reports %s', (label, changes, code) => {
+      expect(codes(validateRule({ ...timed, ...changes }).errors)).toEqual([code]);
+    });
+
+    test('ignores the time fields of an all-day rule', () => {
+      expect(validateRule({ ...timed, allDay: true, startTime: '', duration: 0 }).valid).toBe(true);
+    });
+  });
+
+  describe('patterns', () => {
+    test('warns that a weekly rule without days uses the start date\'s weekday', () => {
+      const { valid, warnings } = validateRule({ ...DAILY_RULE, recurrenceType: 'weekly' });
+      expect(valid).toBe(true);
+      expect(warnings).toEqual([{
+        field: 'daysOfWeek',
+        code: 'noDaysOfWeek',
+        message: 'No days selected: the rule repeats on the start date\'s weekday (Tuesday).',
+      }]);
+    });
+
+    test('warns about days of the month that some months don\'t have', () => {
+      const monthlyPattern = { ...DEFAULT_MONTHLY_PATTERN, mode: 'dayOfMonth', monthDays: [31, 15, 30] };
+      const { valid, warnings } = validateRule({ ...DAILY_RULE, recurrenceType: 'monthly', monthlyPattern });
+      expect(valid).toBe(true);
+      expect(warnings).toEqual([{
+        field: 'monthlyPattern',
+        code: 'clampedMonthDays',
+        message: 'Day 30, 31 falls on the last day of the month in shorter months.',
+      }]);
+    });
+
+    test('only warns about the months a yearly rule uses', () => {
+      const yearly = (months) => ({
+        ...DAILY_RULE,
+        recurrenceType: 'yearly',
+        yearlyPattern: { ...DEFAULT_YEARLY_PATTERN, mode: 'dayOfMonth', monthDays: [31], months },
+      });
+      expect(codes(validateRule(yearly([1, 3])).warnings)).toEqual([]);
+      expect(codes(validateRule(yearly([1, 4])).warnings)).toEqual(['yearlyPattern:clampedMonthDays']);
+    });
+
+    test.each([
+      ['no days of the month', { mode: 'dayOfMonth', monthDays: [] }, ['monthlyPattern:noMonthDays']],
+      ['no weeks or days', { mode: 'weekday', weeks: [], days: [] }, ['monthlyPattern:noWeeks', 'monthlyPattern:noDays']],
+    ])('reports a monthly pattern with %s', (label, pattern, expected) => {
+      const monthlyPattern = { ...DEFAULT_MONTHLY_PATTERN, ...pattern };
+      expect(codes(validateRule({ ...DAILY_RULE, recurrenceType: 'monthly', monthlyPattern }).errors)).toEqual(expected);
+    });
+  });
+
+  describe('rules with no occurrences', () => {
+    test('a weekly rule that ends before its first day comes round', () => {
+      const { errors } = validateRule({
+        ...DAILY_RULE,
+        recurrenceType: 'weekly',
+        daysOfWeek: ['Monday'],
+        endType: 'date',
+        endDate: '2025-03-09',
+      });
+      expect(errors).toEqual([{ field: 'endDate', code: 'noOccurrences', message: 'This pattern has no occurrences before the end date.' }]);
+    });
+
+    test('a weekdays-only rule stepping whole weeks from a Saturday', () => {
+      expect(codes(validateRule({ ...DAILY_RULE, interval: 7, weekdaysOnly: true, startDate: '2025-01-04' }).errors))
+        .toEqual(['startDate:noOccurrences']);
+    });
+
+    test('a rule whose dates are all holidays and skipped', () => {
+      const holidays = ['2025-03-04', '2025-03-05', '2025-03-06'];
+      const rule = { ...DAILY_RULE, endType: 'date', endDate: '2025-03-06', nonWorkingDayPolicy: 'skip', holidays };
+      expect(codes(validateRule(rule).errors)).toEqual(['endDate:noOccurrences']);
+      expect(validateRule({ ...rule, holidays: [] }).valid).toBe(true);
+    });
+
+    test('is not checked while the rule has other errors', () => {
+      expect(codes(validateRule({ ...DAILY_RULE, endType: 'date', endDate: '2025-03-01' }).errors)).toEqual(['endDate:endBeforeStart']);
+    });
+  });
+});